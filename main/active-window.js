@@ -0,0 +1,114 @@
+/**
+ * SnapCut Active Window
+ * Finds out which application has keyboard focus, for per-app expansion rules.
+ *
+ * - Linux / X11: _NET_ACTIVE_WINDOW on the root window, then that window's
+ *   WM_CLASS (instance + class, e.g. "gnome-terminal-server", "Gnome-terminal")
+ *   via xprop. Wayland offers no equivalent, so the app is unknown there.
+ * - macOS: name and bundle id of the frontmost process via System Events.
+ *
+ * getActiveApp() resolves to { names: [...], title, id } or null when unknown.
+ * `id` identifies the focused window (X11 window id) — on macOS only the app.
+ *
+ * watchActiveWindow() reports focus changes as they happen — X11 only, through
+ * one long-lived `xprop -spy` process instead of a lookup per question.
+ */
+
+const { execFile, spawn } = require('child_process');
+
+const LOOKUP_TIMEOUT_MS = 500;
+
+function run(bin, args) {
+  return new Promise((resolve) => {
+    execFile(bin, args, { timeout: LOOKUP_TIMEOUT_MS }, (err, stdout) => resolve(err ? null : String(stdout)));
+  });
+}
+
+// ── Linux / X11 ──
+
+// xprop prints quoted values: WM_CLASS(STRING) = "code", "Code"
+function quotedValues(line) {
+  return [...(line || '').matchAll(/"((?:[^"\\]|\\.)*)"/g)].map((m) => m[1]);
+}
+
+async function getActiveAppX11() {
+  if (!process.env.DISPLAY) return null;
+  const root = await run('xprop', ['-root', '_NET_ACTIVE_WINDOW']);
+  const id = root && root.match(/window id # (0x[0-9a-f]+)/i);
+  if (!id || /^0x0+$/i.test(id[1])) return null;
+
+  const props = await run('xprop', ['-id', id[1], 'WM_CLASS', '_NET_WM_NAME']);
+  if (!props) return null;
+  const lines = props.split('\n');
+  const names = quotedValues(lines.find((l) => l.startsWith('WM_CLASS')));
+  const [title = ''] = quotedValues(lines.find((l) => l.startsWith('_NET_WM_NAME')));
+  return names.length ? { names, title, id: id[1] } : null;
+}
+
+// ── macOS ──
+
+const FRONTMOST_SCRIPT = [
+  'tell application "System Events"',
+  'set p to first application process whose frontmost is true',
+  'return (name of p) & linefeed & (bundle identifier of p)',
+  'end tell',
+].join('\n');
+
+async function getActiveAppMac() {
+  const out = await run('osascript', ['-e', FRONTMOST_SCRIPT]);
+  if (!out) return null;
+  const names = out.split('\n').map((s) => s.trim()).filter((s) => s && s !== 'missing value');
+  return names.length ? { names, title: '', id: names.join('\n') } : null;
+}
+
+/**
+ * Call `onChange(id)` whenever another window gets focus. Returns a stop()
+ * function, or null where focus can't be watched (Wayland, macOS, Windows).
+ * `onEnd` runs if the watcher dies by itself (xprop missing, X server gone).
+ */
+function watchActiveWindow(onChange, onEnd) {
+  if (process.platform !== 'linux' || !process.env.DISPLAY) return null;
+  let child;
+  try {
+    child = spawn('xprop', ['-spy', '-root', '_NET_ACTIVE_WINDOW'], { stdio: ['ignore', 'pipe', 'ignore'] });
+  } catch {
+    return null;
+  }
+
+  let stopped = false;
+  let current = null; // xprop prints the focused window first, then every change
+  let pending = '';
+  child.stdout.on('data', (chunk) => {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      const id = (line.match(/window id # (0x[0-9a-f]+)/i) || [])[1];
+      if (!id) continue;
+      if (current !== null && id !== current) onChange(id);
+      current = id;
+    }
+  });
+  const end = () => {
+    if (stopped) return;
+    stopped = true;
+    if (onEnd) onEnd();
+  };
+  child.on('error', end);
+  child.on('exit', end);
+
+  return () => {
+    stopped = true;
+    child.kill();
+  };
+}
+
+/**
+ * Identify the focused application. Never rejects — resolves to null if it can't tell.
+ */
+function getActiveApp() {
+  if (process.platform === 'linux') return getActiveAppX11();
+  if (process.platform === 'darwin') return getActiveAppMac();
+  return Promise.resolve(null);
+}
+
+module.exports = { getActiveApp, watchActiveWindow };
@@ -0,0 +1,82 @@
+/**
+ * SnapCut Clipboard Snapshot
+ * Paste expansions borrow the clipboard. A snapshot keeps everything that was on
+ * it — text, HTML, RTF, image, bookmark, plus the raw bytes of every other format
+ * the system lists (file lists, app-private formats) — so it can be put back
+ * afterwards. Fingerprints tell whether the user copied something new meanwhile.
+ *
+ * Electron can write text / HTML / RTF / image / bookmark together in one call,
+ * but a raw format only on its own (writeBuffer replaces the whole clipboard).
+ * So a copied file list is restored as the file list; otherwise the standard
+ * formats are restored together and other raw formats are dropped.
+ */
+
+const { clipboard } = require('electron');
+const crypto = require('crypto');
+
+// Formats clipboard.write() recreates from the readText / readHTML / … fields
+const STANDARD_FORMAT_RE = /^(text\/(plain|html|rtf)|image\/)/i;
+// Copied files (Linux file managers, macOS Finder, Windows Explorer)
+const FILE_LIST_RE = /uri-list|copied-files|NSFilenames|file-url|FileNameW|FileGroupDescriptor/i;
+
+/**
+ * Capture the current clipboard, or null when it is empty.
+ */
+function takeSnapshot() {
+  const formats = clipboard.availableFormats();
+  if (!formats.length) return null;
+  const image = clipboard.readImage();
+  const raw = [];
+  for (const format of formats) {
+    if (STANDARD_FORMAT_RE.test(format)) continue;
+    const data = clipboard.readBuffer(format);
+    if (data.length) raw.push({ format, data });
+  }
+  return {
+    text: clipboard.readText(),
+    html: clipboard.readHTML(),
+    rtf: clipboard.readRTF(),
+    image: image.isEmpty() ? null : image,
+    // Bookmarks only exist on macOS and Windows
+    bookmark: process.platform === 'linux' ? null : clipboard.readBookmark(),
+    raw,
+  };
+}
+
+/**
+ * Put a snapshot back. A null snapshot (the clipboard was empty) clears it.
+ */
+function restoreSnapshot(snapshot) {
+  if (!snapshot) {
+    clipboard.clear();
+    return;
+  }
+  const files = snapshot.raw.find((r) => FILE_LIST_RE.test(r.format));
+  if (files) {
+    clipboard.writeBuffer(files.format, files.data);
+    return;
+  }
+
+  const data = {};
+  if (snapshot.text) data.text = snapshot.text;
+  if (snapshot.html) data.html = snapshot.html;
+  if (snapshot.rtf) data.rtf = snapshot.rtf;
+  if (snapshot.image) data.image = snapshot.image;
+  if (snapshot.bookmark && snapshot.bookmark.title) data.bookmark = snapshot.bookmark.title;
+  if (Object.keys(data).length) clipboard.write(data);
+  else if (snapshot.raw.length) clipboard.writeBuffer(snapshot.raw[0].format, snapshot.raw[0].data);
+  else clipboard.clear();
+}
+
+/**
+ * Hash of what the clipboard holds — text and image only, because clipboard
+ * managers re-own the clipboard after every copy and may offer fewer formats.
+ */
+function fingerprint() {
+  const hash = crypto.createHash('sha1').update(clipboard.readText());
+  const image = clipboard.readImage();
+  if (!image.isEmpty()) hash.update('\0').update(image.toPNG());
+  return hash.digest('hex');
+}
+
+module.exports = { takeSnapshot, restoreSnapshot, fingerprint };
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const { app } = require('electron');
+const images = require('./images');
 
 const dbPath = path.join(app.getPath('userData'), 'snapcut.db');
 const db = new Database(dbPath);
@@ -24,6 +25,85 @@ db.exec(`
   );
 `);
 
+// ── Per-snippet options ──
+// Columns added after the original schema, mapped to the value used when the
+// renderer or an import file leaves them out. Carried through create/update/export/import.
+const SNIPPET_OPTION_DEFAULTS = {
+  inject_mode: null, // 'paste' | 'type' — null follows the global inject_strategy setting
+  case_sensitive: 0, // 1 = "Addr" and "addr" are different shortcuts
+  adapt_case: 0, // 1 = "Brb" → "Be right back", "BRB" → "BE RIGHT BACK"
+  word_start: null, // 1 / 0 — null follows the global word_start setting
+  format: 'plain', // 'plain' | 'html' | 'markdown' | 'image' | 'script' — rich formats paste with formatting, scripts run (see sandbox.js)
+  image_path: null, // image snippets: PNG file name under userData/snippet-images (see images.js)
+  app_rule_mode: null, // 'any' | 'only' | 'never' — null follows the category, then the global rule
+  app_rule_apps: '', // comma / newline separated app names the rule applies to
+  trigger_type: 'literal', // 'literal' | 'regex' — regex shortcuts are patterns (see triggers.js)
+  trusted: 0, // 1 = may run {shell:…} commands / its script — never carried over by import
+  enabled: 1, // 0 = kept (with its history) but never expanded or offered by the launcher
+};
+const SNIPPET_OPTION_COLUMNS = Object.keys(SNIPPET_OPTION_DEFAULTS);
+
+// Add inject_mode column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN inject_mode TEXT DEFAULT NULL`);
+} catch (e) { /* column already exists */ }
+
+// Add case_sensitive column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN case_sensitive INTEGER DEFAULT 0`);
+} catch (e) { /* column already exists */ }
+
+// Add adapt_case column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN adapt_case INTEGER DEFAULT 0`);
+} catch (e) { /* column already exists */ }
+
+// Add word_start column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN word_start INTEGER DEFAULT NULL`);
+} catch (e) { /* column already exists */ }
+
+// Add format column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN format TEXT DEFAULT 'plain'`);
+} catch (e) { /* column already exists */ }
+
+// Add image_path column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN image_path TEXT DEFAULT NULL`);
+} catch (e) { /* column already exists */ }
+
+// Add app rule columns if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN app_rule_mode TEXT DEFAULT NULL`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN app_rule_apps TEXT DEFAULT ''`);
+} catch (e) { /* column already exists */ }
+
+// Add trigger_type column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN trigger_type TEXT DEFAULT 'literal'`);
+} catch (e) { /* column already exists */ }
+
+// Add trusted column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN trusted INTEGER DEFAULT 0`);
+} catch (e) { /* column already exists */ }
+
+// Add enabled column if missing (migration)
+try {
+  db.exec(`ALTER TABLE snippets ADD COLUMN enabled INTEGER DEFAULT 1`);
+} catch (e) { /* column already exists */ }
+
+// SQLite can't bind booleans — store them as 0/1
+function snippetOptionValues(data) {
+  return SNIPPET_OPTION_COLUMNS.map((column) => {
+    const value = data[column] === undefined ? SNIPPET_OPTION_DEFAULTS[column] : data[column];
+    return typeof value === 'boolean' ? Number(value) : value;
+  });
+}
+
 // ── Categories Table ──
 db.exec(`
   CREATE TABLE IF NOT EXISTS categories (
@@ -40,6 +120,14 @@ try {
   db.exec(`ALTER TABLE categories ADD COLUMN icon TEXT DEFAULT 'tag'`);
 } catch (e) { /* column already exists */ }
 
+// Add app rule columns if missing (migration) — same meaning as on snippets
+try {
+  db.exec(`ALTER TABLE categories ADD COLUMN app_rule_mode TEXT DEFAULT NULL`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE categories ADD COLUMN app_rule_apps TEXT DEFAULT ''`);
+} catch (e) { /* column already exists */ }
+
 // Seed one default "General" category if table is empty
 const catCount = db.prepare('SELECT COUNT(*) as c FROM categories').get();
 if (catCount.c === 0) {
@@ -81,18 +169,19 @@ function getAllSnippets() {
   return db.prepare('SELECT * FROM snippets ORDER BY usage_count DESC, updated_at DESC').all();
 }
 
-function createSnippet({ shortcut, title, body, category }) {
+function createSnippet({ shortcut, title, body, category, ...options }) {
   const stmt = db.prepare(
-    'INSERT INTO snippets (shortcut, title, body, category) VALUES (?, ?, ?, ?)'
+    `INSERT INTO snippets (shortcut, title, body, category, ${SNIPPET_OPTION_COLUMNS.join(', ')})
+     VALUES (?, ?, ?, ?, ${SNIPPET_OPTION_COLUMNS.map(() => '?').join(', ')})`
   );
-  const info = stmt.run(shortcut, title, body, category || 'General');
+  const info = stmt.run(shortcut, title, body, category || 'General', ...snippetOptionValues(options));
   return db.prepare('SELECT * FROM snippets WHERE id = ?').get(info.lastInsertRowid);
 }
 
-function updateSnippet(id, { shortcut, title, body, category }) {
+function updateSnippet(id, { shortcut, title, body, category, ...options }) {
   db.prepare(
-    `UPDATE snippets SET shortcut = ?, title = ?, body = ?, category = ?, updated_at = datetime('now') WHERE id = ?`
-  ).run(shortcut, title, body, category, id);
+    `UPDATE snippets SET shortcut = ?, title = ?, body = ?, category = ?, ${SNIPPET_OPTION_COLUMNS.map((c) => `${c} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`
+  ).run(shortcut, title, body, category, ...snippetOptionValues(options), id);
   return db.prepare('SELECT * FROM snippets WHERE id = ?').get(id);
 }
 
@@ -102,6 +191,13 @@ function deleteSnippet(id) {
   return db.prepare('DELETE FROM snippets WHERE id = ?').run(id);
 }
 
+// Remove image files left behind by deleted or re-imaged snippets. Run at startup
+// only — an image dropped into an unsaved editor isn't referenced yet.
+function pruneSnippetImages() {
+  const rows = db.prepare('SELECT image_path FROM snippets WHERE image_path IS NOT NULL').all();
+  images.pruneImages(rows.map((r) => r.image_path));
+}
+
 function searchSnippets(query) {
   return db
     .prepare(
@@ -120,17 +216,20 @@ function createCategory(name, color) {
   return db.prepare('SELECT * FROM categories WHERE id = ?').get(info.lastInsertRowid);
 }
 
-function updateCategory(id, { name, color, icon }) {
+function updateCategory(id, { name, color, icon, app_rule_mode, app_rule_apps }) {
   const cat = db.prepare('SELECT * FROM categories WHERE id = ?').get(id);
   if (!cat) return { error: 'Category not found' };
   const newName = (name || cat.name).trim();
   const newColor = color || cat.color;
   const newIcon = icon || cat.icon || 'tag';
+  const newRuleMode = app_rule_mode === undefined ? cat.app_rule_mode : app_rule_mode;
+  const newRuleApps = app_rule_apps === undefined ? cat.app_rule_apps : app_rule_apps;
   // Rename snippets if name changed
   if (newName !== cat.name) {
     db.prepare('UPDATE snippets SET category = ? WHERE category = ?').run(newName, cat.name);
   }
-  db.prepare('UPDATE categories SET name = ?, color = ?, icon = ? WHERE id = ?').run(newName, newColor, newIcon, id);
+  db.prepare('UPDATE categories SET name = ?, color = ?, icon = ?, app_rule_mode = ?, app_rule_apps = ? WHERE id = ?')
+    .run(newName, newColor, newIcon, newRuleMode, newRuleApps || '', id);
   return db.prepare('SELECT * FROM categories WHERE id = ?').get(id);
 }
 
@@ -164,13 +263,20 @@ function renameCategory(id, newName) {
 function incrementUsage(id) {
   db.prepare('UPDATE snippets SET usage_count = usage_count + 1 WHERE id = ?').run(id);
 
-  // Log the expansion
+  // Log the expansion — the log id lets an undo remove it again
   const snippet = db.prepare('SELECT * FROM snippets WHERE id = ?').get(id);
   if (snippet) {
-    db.prepare(
+    const info = db.prepare(
       'INSERT INTO expansion_log (snippet_id, shortcut, chars_expanded, chars_shortcut) VALUES (?, ?, ?, ?)'
     ).run(id, snippet.shortcut, snippet.body.length, snippet.shortcut.length);
+    return info.lastInsertRowid;
   }
+  return null;
+}
+
+function revertUsage(id, logId) {
+  db.prepare('UPDATE snippets SET usage_count = MAX(usage_count - 1, 0) WHERE id = ?').run(id);
+  if (logId) db.prepare('DELETE FROM expansion_log WHERE id = ?').run(logId);
 }
 
 function getStats() {
@@ -255,7 +361,15 @@ function setSetting(key, value) {
 }
 
 function exportAllSnippets() {
-  const snippets = db.prepare('SELECT shortcut, title, body, category FROM snippets ORDER BY id ASC').all();
+  const snippets = db.prepare(
+    `SELECT shortcut, title, body, category, ${SNIPPET_OPTION_COLUMNS.join(', ')} FROM snippets ORDER BY id ASC`
+  ).all();
+  // Image files don't travel with the JSON — embed them as data URLs
+  for (const s of snippets) {
+    if (s.image_path) s.image_data = images.imageDataUrl(s.image_path);
+    delete s.image_path;
+    delete s.trusted;
+  }
   const categories = db.prepare('SELECT name, color FROM categories ORDER BY sort_order ASC').all();
   return { version: 1, exportedAt: new Date().toISOString(), snippets, categories };
 }
@@ -275,12 +389,23 @@ function importSnippets(data) {
     }
     // Import snippets (skip duplicates by shortcut)
     for (const s of data.snippets) {
-      if (!s.shortcut || !s.title || !s.body) continue;
+      if (!s.shortcut || !s.title || !(s.body || s.image_data)) continue;
       const exists = db.prepare('SELECT id FROM snippets WHERE shortcut = ?').get(s.shortcut);
       if (!exists) {
-        db.prepare('INSERT INTO snippets (shortcut, title, body, category) VALUES (?, ?, ?, ?)').run(
-          s.shortcut, s.title, s.body, s.category || 'General'
-        );
+        // Paths from another machine mean nothing here — only embedded image data is imported.
+        // Imported snippets are never trusted to run shell commands or scripts until the user says so.
+        let imagePath = null;
+        if (s.image_data) {
+          try {
+            imagePath = images.importImageDataUrl(s.image_data);
+          } catch {
+            continue;
+          }
+        }
+        db.prepare(
+          `INSERT INTO snippets (shortcut, title, body, category, ${SNIPPET_OPTION_COLUMNS.join(', ')})
+           VALUES (?, ?, ?, ?, ${SNIPPET_OPTION_COLUMNS.map(() => '?').join(', ')})`
+        ).run(s.shortcut, s.title, s.body || '', s.category || 'General', ...snippetOptionValues({ ...s, image_path: imagePath, trusted: 0 }));
         imported++;
       }
     }
@@ -315,6 +440,7 @@ module.exports = {
   createSnippet,
   updateSnippet,
   deleteSnippet,
+  pruneSnippetImages,
   searchSnippets,
   getCategories,
   createCategory,
@@ -322,6 +448,7 @@ module.exports = {
   deleteCategory,
   renameCategory,
   incrementUsage,
+  revertUsage,
   getStats,
   getSetting,
   setSetting,
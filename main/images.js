@@ -0,0 +1,90 @@
+/**
+ * SnapCut Image Store
+ * Image snippets keep their picture as a PNG under userData/snippet-images;
+ * the snippet row only stores the file name (`image_path`). Files are named by
+ * content hash, so the same image dropped into two snippets is stored once.
+ */
+
+const { app, nativeImage } = require('electron');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const IMAGES_DIR = path.join(app.getPath('userData'), 'snippet-images');
+const NAME_RE = /^[0-9a-f]{40}\.png$/;
+
+function ensureDir() {
+  fs.mkdirSync(IMAGES_DIR, { recursive: true });
+}
+
+/**
+ * Absolute path of a stored image, or null for anything that isn't one of ours.
+ */
+function resolveImage(name) {
+  return name && NAME_RE.test(name) ? path.join(IMAGES_DIR, name) : null;
+}
+
+/**
+ * Store a nativeImage as PNG. Returns the file name.
+ */
+function saveImage(image) {
+  if (!image || image.isEmpty()) throw new Error('Not a supported image');
+  const png = image.toPNG();
+  const name = `${crypto.createHash('sha1').update(png).digest('hex')}.png`;
+  ensureDir();
+  const target = path.join(IMAGES_DIR, name);
+  if (!fs.existsSync(target)) fs.writeFileSync(target, png);
+  return name;
+}
+
+/**
+ * Copy an image file from disk into the store (PNG, JPEG, GIF, …). Returns the file name.
+ */
+function importImageFile(filePath) {
+  return saveImage(nativeImage.createFromPath(filePath));
+}
+
+/**
+ * Store an image given as a data URL (export files carry images this way).
+ */
+function importImageDataUrl(dataUrl) {
+  return saveImage(nativeImage.createFromDataURL(dataUrl));
+}
+
+/**
+ * Load a stored image as a nativeImage (empty if the file is missing).
+ */
+function loadImage(name) {
+  const file = resolveImage(name);
+  return file ? nativeImage.createFromPath(file) : nativeImage.createEmpty();
+}
+
+/**
+ * Data URL for a stored image — used by the editor preview and by export. Null if missing.
+ */
+function imageDataUrl(name) {
+  const image = loadImage(name);
+  return image.isEmpty() ? null : image.toDataURL();
+}
+
+/**
+ * Delete stored images no snippet refers to any more.
+ */
+function pruneImages(referenced) {
+  const keep = new Set(referenced);
+  let files = [];
+  try {
+    files = fs.readdirSync(IMAGES_DIR);
+  } catch {
+    return;
+  }
+  for (const file of files) {
+    if (NAME_RE.test(file) && !keep.has(file)) {
+      try {
+        fs.unlinkSync(path.join(IMAGES_DIR, file));
+      } catch {}
+    }
+  }
+}
+
+module.exports = { resolveImage, importImageFile, importImageDataUrl, loadImage, imageDataUrl, pruneImages };
@@ -0,0 +1,229 @@
+/**
+ * SnapCut Text Injector
+ * Sends the synthetic keystrokes that replace a typed shortcut with its body.
+ *
+ * An expansion is described as a list of steps:
+ *   { key: 'backspace', count }   delete typed characters
+ *   { key: 'paste' }              paste the clipboard (Cmd+V / Ctrl+V)
+ *   { key: 'space' | 'enter' | 'tab' }
+ *   { key: 'left', count }        move the caret back (cursor placement)
+ *   { text }                      type text as keystrokes (never touches the clipboard)
+ *
+ * One backend per platform, chosen once at startup:
+ * - macOS: AppleScript via osascript (System Events)
+ * - Linux: xdotool (X11 XTest events), falling back to ydotool (uinput) on
+ *          Wayland or when xdotool is not installed
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+let backend = null;
+
+// ── Helpers ──
+
+/**
+ * Find an executable on PATH (no shell, no `which` dependency).
+ */
+function findExecutable(name) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch {}
+  }
+  return null;
+}
+
+// Steps without a count run once
+function stepCount(step) {
+  return step.count === undefined ? 1 : step.count;
+}
+
+/**
+ * Run several invocations of one binary in order, stopping at the first error.
+ */
+function runSequence(bin, commands, callback) {
+  const next = (i) => {
+    if (i >= commands.length) return callback(null);
+    execFile(bin, commands[i], (err) => (err ? callback(err) : next(i + 1)));
+  };
+  next(0);
+}
+
+// Terminals paste with Ctrl+Shift+V — Ctrl+V is a control character there
+const TERMINAL_CLASSES = [
+  'terminal', 'konsole', 'xterm', 'urxvt', 'rxvt', 'alacritty', 'kitty', 'terminator',
+  'tilix', 'wezterm', 'foot', 'st-256color', 'guake', 'yakuake', 'terminology',
+];
+
+function isTerminalClass(windowClass) {
+  const c = (windowClass || '').toLowerCase();
+  return TERMINAL_CLASSES.some((t) => c.includes(t));
+}
+
+// ── macOS: AppleScript ──
+
+const APPLESCRIPT_KEY_CODES = { backspace: 51, space: 49, enter: 36, tab: 48, left: 123 };
+
+// AppleScript string literal: escape backslashes and quotes
+function appleScriptString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+const osascriptBackend = {
+  id: 'osascript',
+  label: 'AppleScript (System Events)',
+  run(steps, callback) {
+    const lines = [];
+    for (const step of steps) {
+      if (step.text !== undefined) {
+        // `keystroke` can't press Return — type line by line with key code 36 between
+        step.text.split(/\r?\n/).forEach((line, i) => {
+          if (i > 0) lines.push(`key code ${APPLESCRIPT_KEY_CODES.enter}`);
+          if (line) lines.push(`keystroke ${appleScriptString(line)}`);
+        });
+        continue;
+      }
+      const count = stepCount(step);
+      if (!count) continue;
+      if (step.key === 'paste') {
+        lines.push('keystroke "v" using command down');
+      } else {
+        lines.push(`repeat ${count} times`, `key code ${APPLESCRIPT_KEY_CODES[step.key]}`, 'end repeat');
+      }
+    }
+    // Single AppleScript: every step in one shot — no artificial delays
+    const script = `tell application "System Events"\n${lines.join('\n')}\nend tell`;
+    execFile('osascript', ['-e', script], (err) => callback(err || null));
+  },
+};
+
+// ── Linux / X11: xdotool (XTest) ──
+
+const XDOTOOL_KEYS = { backspace: 'BackSpace', space: 'space', enter: 'Return', tab: 'Tab', left: 'Left' };
+
+function createXdotoolBackend(bin) {
+  return {
+    id: 'xdotool',
+    label: 'xdotool (X11)',
+    run(steps, callback) {
+      // Look up the focused window class first so terminals get Ctrl+Shift+V
+      execFile(bin, ['getactivewindow', 'getwindowclassname'], (classErr, stdout) => {
+        const pasteCombo = !classErr && isTerminalClass(stdout) ? 'ctrl+shift+v' : 'ctrl+v';
+        // Consecutive key presses share one `xdotool key` call; text gets its own `xdotool type`
+        const commands = [];
+        let keys = [];
+        const flushKeys = () => {
+          if (keys.length) commands.push(['key', '--clearmodifiers', '--delay', '8', ...keys]);
+          keys = [];
+        };
+        for (const step of steps) {
+          if (step.text !== undefined) {
+            flushKeys();
+            if (step.text) commands.push(['type', '--clearmodifiers', '--delay', '8', '--', step.text]);
+            continue;
+          }
+          const name = step.key === 'paste' ? pasteCombo : XDOTOOL_KEYS[step.key];
+          const count = stepCount(step);
+          for (let i = 0; i < count; i++) keys.push(name);
+        }
+        flushKeys();
+        runSequence(bin, commands, callback);
+      });
+    },
+  };
+}
+
+// ── Linux / Wayland fallback: ydotool (uinput) ──
+
+// Linux input event codes (linux/input-event-codes.h)
+const EVDEV_KEYS = { backspace: 14, space: 57, enter: 28, tab: 15, left: 105, leftctrl: 29, v: 47 };
+
+function createYdotoolBackend(bin) {
+  const tap = (code) => [`${code}:1`, `${code}:0`];
+  return {
+    id: 'ydotool',
+    label: 'ydotool (uinput)',
+    run(steps, callback) {
+      const commands = [];
+      let events = [];
+      const flushEvents = () => {
+        if (events.length) commands.push(['key', '--key-delay', '8', ...events]);
+        events = [];
+      };
+      for (const step of steps) {
+        if (step.text !== undefined) {
+          flushEvents();
+          if (step.text) commands.push(['type', '--key-delay', '8', '--', step.text]);
+          continue;
+        }
+        if (step.key === 'paste') {
+          events.push(`${EVDEV_KEYS.leftctrl}:1`, ...tap(EVDEV_KEYS.v), `${EVDEV_KEYS.leftctrl}:0`);
+          continue;
+        }
+        const count = stepCount(step);
+        for (let i = 0; i < count; i++) events.push(...tap(EVDEV_KEYS[step.key]));
+      }
+      flushEvents();
+      runSequence(bin, commands, callback);
+    },
+  };
+}
+
+// ── Unsupported platform ──
+
+const unavailableBackend = {
+  id: 'none',
+  label: 'Unavailable',
+  run(_steps, callback) {
+    callback(new Error(`No text injection backend available on ${process.platform}`));
+  },
+};
+
+/**
+ * Pick the backend for this platform. Called once at startup; later calls
+ * return the cached choice.
+ */
+function selectBackend() {
+  if (backend) return backend;
+
+  if (process.platform === 'darwin') {
+    backend = osascriptBackend;
+  } else if (process.platform === 'linux') {
+    const xdotool = process.env.DISPLAY ? findExecutable('xdotool') : null;
+    const ydotool = findExecutable('ydotool');
+    // Under Wayland, XTest only reaches XWayland windows — prefer uinput there
+    const wayland = process.env.XDG_SESSION_TYPE === 'wayland' || !process.env.DISPLAY;
+    if (xdotool && !(wayland && ydotool)) backend = createXdotoolBackend(xdotool);
+    else if (ydotool) backend = createYdotoolBackend(ydotool);
+  }
+
+  if (!backend) {
+    backend = unavailableBackend;
+    console.error('[SnapCut] No text injection backend found — install xdotool (X11) or ydotool (Wayland)');
+  } else {
+    console.log('[SnapCut] Text injection backend:', backend.label);
+  }
+  return backend;
+}
+
+/**
+ * Run a list of injection steps. Callback receives an Error or null.
+ */
+function inject(steps, callback) {
+  selectBackend().run(steps, callback);
+}
+
+/**
+ * Describe the active backend (shown in Settings → About).
+ */
+function getBackendInfo() {
+  const b = selectBackend();
+  return { id: b.id, label: b.label, available: b !== unavailableBackend };
+}
+
+module.exports = { selectBackend, inject, getBackendInfo };
@@ -1,29 +1,85 @@
 /**
  * SnapCut Key Listener
  * Monitors keyboard input globally and expands shortcuts.
- * Fires INSTANTLY when the typed buffer ends with a known shortcut.
- * No trigger key needed — type the shortcut, it expands.
+ *
+ * Two modes:
+ * - instant:   fires as soon as the typed buffer ends with a known shortcut.
+ * - delimiter: waits for an enabled trigger key (space / enter / tab) after the
+ *              shortcut, then replaces shortcut + delimiter with the body.
  */
 
-const { execFile, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const { clipboard, nativeImage } = require('electron');
+const { inject } = require('./injector');
+const placeholders = require('./placeholders');
+const richtext = require('./richtext');
+const images = require('./images');
+const layouts = require('./layouts');
+const triggers = require('./triggers');
+const shell = require('./shell');
+const sandbox = require('./sandbox');
+const clipboardSnapshot = require('./clipboard-snapshot');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 
 let buffer = '';
-let snippetMap = {};
-let shortcutList = [];  // sorted longest-first for greedy matching
+let bufferAtBoundary = true; // true when the character before the buffer is a word boundary
+let snippetMap = {};    // lowercased shortcut → snippet, disabled ones too (for {snippet:…} references)
+let shortcutList = [];  // [{ key, snippet }] sorted longest-first for greedy matching
+let regexList = [];     // [{ re, snippet }] regex triggers, tried after literal shortcuts
+let capsLock = false;   // toggled by CapsLock keydowns (uiohook doesn't report lock state)
+let altGrHeld = false;  // right Alt is down (tracked from keydown / keyup)
+let pendingDead = null; // accent of a dead key waiting for the next character
+let keyLayout = layouts.getLayout(layouts.DEFAULT_LAYOUT); // compiled tables for settings.layout
 let uiohook = null;
 let active = false;
 let expanding = false;  // prevent re-entry during expansion
 let popSoundPath = null; // path to generated WAV file
 let onExpansionDone = null; // callback after successful expansion
+let lastExpansion = null;   // undo info for the most recent expansion — cleared by the next key
+let settleUntil = 0;        // timestamp until which keystrokes are treated as injector echoes
+let promptForFields = null; // (fields, snippet) → Promise<values | null> — set by main via setHooks
+let getActiveApp = null;    // () → Promise<{ names, title, id } | null> — set by main via setHooks
+let notifyError = null;     // (message) → void, shows an error notification — set by main via setHooks
+let isLauncherOpen = null;  // () → boolean, the launcher's search box has the keyboard — set by main via setHooks
+let lastKeyAt = 0;          // time of the last keystroke, for the idle reset
+let watchActiveWindow = null; // (onChange, onEnd) → stop() | null, reports focus changes — set by main via setHooks
+let stopFocusWatch = null;  // stops the running focus watcher; null when focus is checked at match time instead
+let lastWindow = null;      // window seen by the last match-time focus check — null after a click or chord
+let keyQueue = [];          // keystrokes typed while an expansion ran, replayed once it is done
+let echoes = null;          // keys the running injection still owes the hook (see expectEchoes)
+let replayTimer = null;     // replays the queue once the injector's echoes have settled
+let prompting = false;      // a fill-in prompt is open — what's typed goes into it
+
+// ── Listener settings (pushed from main via updateSettings) ──
+let settings = {
+  mode: 'instant',                                  // 'instant' | 'delimiter'
+  triggers: { space: true, enter: true, tab: true }, // delimiter keys that fire an expansion
+  keepDelimiter: true,                              // re-emit the delimiter after the body (false = swallow it)
+  strategy: 'paste',                                // 'paste' (clipboard) | 'type' (keystrokes) — snippets can override
+  wordStart: false,                                 // only expand at the start of a word — snippets can override
+  undoBackspace: true,                              // Backspace right after an expansion restores the shortcut
+  appRule: { mode: 'any', apps: '' },               // global per-app rule — categories and snippets can override
+  categoryRules: {},                                // category name → { mode, apps }
+  layout: 'us',                                     // keyboard layout id (see layouts.js) — main resolves 'auto'
+  resetOnClick: true,                               // a mouse click clears the buffer (the caret may have moved)
+  resetOnFocus: true,                               // switching windows clears the buffer
+  idleResetMs: 10000,                               // a pause this long between keys clears the buffer (0 = never)
+  shell: { enabled: false, timeoutMs: 2000, cwd: '' }, // {shell:…} placeholders — trusted snippets only
+  restore: { baseMs: 800, profiles: {} },          // clipboard restore delay — per-app overrides keyed by app name
+};
+
+// ── Per-app rule debug log (most recent last) ──
+const skippedExpansions = [];
+const SKIPPED_LOG_SIZE = 50;
 
 // ── Clipboard preservation state (module-level to survive rapid-fire) ──
-let savedClipboard = null;       // { type: 'text'|'image', data } or null
+let savedClipboard = null;       // snapshot of the user's clipboard (see clipboard-snapshot.js) — null if it was empty, undefined if unreadable
+let pastedFingerprint = null;    // fingerprint of our expansion on the clipboard while a restore is pending
 let clipboardRestoreTimer = null; // pending restore timer
-const CLIPBOARD_RESTORE_DELAY = 800; // ms — generous delay for target app to process Cmd+V
+let pasteSeq = 0;                // bumped per paste, so a slow app lookup can't restore over a newer paste
+let lastPaste = null;            // { app, at, injectMs, delayMs } — what a "wrong text pasted" report refers to
 
 // ── Pop Sound Generator ──
 // Generates a short descending sine-wave "pop" as a WAV file
@@ -91,60 +147,307 @@ function generatePopSound() {
 function playPopSound() {
   if (!popSoundPath) return;
   try {
-    const child = spawn('afplay', [popSoundPath], {
+    const player = process.platform === 'darwin' ? 'afplay' : 'paplay';
+    const child = spawn(player, [popSoundPath], {
       detached: true,
       stdio: 'ignore',
     });
+    // A missing player emits 'error' asynchronously — never let that crash the app
+    child.on('error', () => {});
     child.unref();
   } catch (err) {
     // Silently ignore — sound is non-critical
   }
 }
 
-// Map uiohook keycodes to characters
-const KEYCODE_MAP = {
-  // Letters a-z
-  30: 'a', 48: 'b', 46: 'c', 32: 'd', 18: 'e', 33: 'f', 34: 'g', 35: 'h',
-  23: 'i', 36: 'j', 37: 'k', 38: 'l', 50: 'm', 49: 'n', 24: 'o', 25: 'p',
-  16: 'q', 19: 'r', 31: 's', 20: 't', 22: 'u', 47: 'v', 17: 'w', 45: 'x',
-  21: 'y', 44: 'z',
-  // Numbers 0-9
-  11: '0', 2: '1', 3: '2', 4: '3', 5: '4', 6: '5', 7: '6', 8: '7', 9: '8', 10: '9',
-  // Symbols
-  12: '-', 13: '=', 26: '[', 27: ']', 43: '\\', 39: ';', 40: "'", 51: ',', 52: '.', 53: '/',
-};
+const CAPS_LOCK = 58;
+// Right Alt — AltGr on ISO layouts (uiohook reports it as VC_ALT_R)
+const ALT_GR = 3640;
+
+// Letters and digits make up words; anything else is a word boundary
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+const isLetter = (char) => char.length === 1 && char.toLowerCase() !== char.toUpperCase();
+
+/**
+ * Whether a keydown types from the AltGr level: right Alt held (Windows also
+ * reports it as Ctrl+Alt), or either Option key on macOS. Layouts without an
+ * AltGr level (US, Dvorak) keep treating Alt as a chord modifier.
+ */
+function isAltGrLevel(e) {
+  if (!keyLayout.hasAltGr) return false;
+  if (process.platform === 'darwin') return e.altKey && !e.ctrlKey;
+  // Queued keystrokes carry the AltGr state from when they were typed
+  return e.altGr !== undefined ? e.altGr : altGrHeld;
+}
+
+/**
+ * Ctrl / Cmd / Alt chords (copy, select-all, Ctrl+Enter…) type nothing.
+ * AltGr (and Option on macOS) types characters instead.
+ */
+function isChord(e) {
+  return e.metaKey || ((e.ctrlKey || e.altKey) && !isAltGrLevel(e));
+}
+
+/**
+ * Decode a uiohook keydown into the character it types on the active layout,
+ * honoring Shift, CapsLock and AltGr. CapsLock only affects letters; Shift inverts it.
+ * Returns a string, { dead: accent } for a dead key, or null for non-character keys.
+ */
+function decodeKey(e) {
+  if (isAltGrLevel(e)) return keyLayout.altgr[e.keycode] || null;
+  const char = keyLayout.base[e.keycode];
+  if (!char) return null;
+  if (typeof char === 'string' && isLetter(char)) {
+    return e.shiftKey !== capsLock ? keyLayout.shift[e.keycode] || char.toUpperCase() : char;
+  }
+  return e.shiftKey ? keyLayout.shift[e.keycode] || null : char;
+}
 
 const BACKSPACE = 14;
 
+// Keys that end a word — they reset the buffer, and in delimiter mode they fire the expansion
+const DELIMITER_KEYS = {
+  57: 'space',
+  28: 'enter',
+  3612: 'enter', // numpad enter
+  15: 'tab',
+};
+const ESCAPE = 1;
+const LEFT_ARROW = 57419;
+const V_KEY = 47;
+// Shift, Ctrl, Alt and Meta, left and right — they never change the buffer
+const MODIFIER_KEYS = new Set([42, 54, 29, 3613, 56, 3640, 3675, 3676]);
+const MAX_QUEUED_KEYS = 200;
+
+// Injected keystrokes can reach the hook a moment after the injector process exits;
+// keys inside this window are treated as ours, not the user's
+const INJECTION_SETTLE_MS = 50;
+
+/**
+ * Replace the typed shortcut with the expansion through the platform injector
+ * (osascript on macOS, xdotool / ydotool on Linux — see injector.js).
+ *
+ * `expansion` = { deleteCount, text, html, image, trailingKey, strategy, caretOffset }
+ * - strategy 'paste' (default) goes through the clipboard, 'type' sends keystrokes
+ * - `html` (rich snippets, else null) is pasted alongside `text`; typing uses `text`
+ * - `image` (image snippets, a nativeImage) is pasted instead of any text
+ * - `trailingKey` ('space' | 'enter' | 'tab') is pressed after the body — used in
+ *   delimiter mode to put back the trigger key we deleted along with the shortcut.
+ * - `caretOffset` moves the caret back that many characters afterwards ({cursor}).
+ * - `retype` (or null) is text typed while the expansion was prepared — it reached
+ *   the app after the shortcut, so it is deleted along with it and typed again.
+ */
+function runExpansion(expansion) {
+  // ── Play pop sound immediately (fire-and-forget) ──
+  playPopSound();
+
+  if (expansion.strategy === 'type') {
+    typeExpansion(expansion);
+  } else {
+    pasteExpansion(expansion);
+  }
+}
+
+/**
+ * Steps after the body: the re-emitted trigger key, the retyped keys, then
+ * arrow-left steps that put the caret back on the {cursor} marker.
+ */
+function afterBodySteps({ trailingKey, retype, caretOffset }) {
+  const steps = [];
+  if (trailingKey) steps.push({ key: trailingKey });
+  if (retype) steps.push({ text: retype });
+  if (caretOffset) {
+    steps.push({ key: 'left', count: caretOffset + (trailingKey ? 1 : 0) + (retype ? [...retype].length : 0) });
+  }
+  return steps;
+}
+
+/**
+ * Common tail of every injection: unlock keystrokes, ignore the injector's own
+ * trailing key events, and drop the undo info if nothing was inserted.
+ */
+function finishInjection(err) {
+  expanding = false;
+  settleUntil = Date.now() + INJECTION_SETTLE_MS;
+  clearTimeout(replayTimer);
+  replayTimer = setTimeout(replayQueuedKeys, INJECTION_SETTLE_MS);
+
+  if (err) {
+    console.error('[SnapCut] Expansion injection failed:', err.message);
+    lastExpansion = null;
+  }
+}
+
+// ── Keystroke queue ──
+// Keys typed while an expansion runs (app lookup, shell commands, the injection
+// itself) are queued and replayed into the matcher once it is done, so a second
+// shortcut typed right after the first still fires. The injector's own keystrokes
+// reach the hook as well — those are recognized and dropped instead.
+
+/**
+ * Note the keystrokes an injection is about to send (injector steps, see
+ * injector.js), so their echoes aren't mistaken for typing.
+ */
+function expectEchoes(steps) {
+  echoes = { backspace: 0, left: 0, paste: 0, text: 0, trailing: [] };
+  for (const step of steps) {
+    if (step.text) echoes.text += [...step.text].length;
+    else if (step.key === 'backspace') echoes.backspace += step.count;
+    else if (step.key === 'left') echoes.left += step.count;
+    else if (step.key === 'paste') echoes.paste++;
+    else if (step.key) echoes.trailing.push(step.key);
+  }
+}
+
+/**
+ * Whether a keydown is one the running injection sent — if so it is ticked off.
+ * Typed text is counted, not compared: the injector may type characters the
+ * active layout can't decode, and anything typed over it is garbled anyway.
+ */
+function isEcho(e) {
+  if (!echoes) return false;
+  if (e.keycode === BACKSPACE && echoes.backspace > 0) {
+    echoes.backspace--;
+    return true;
+  }
+  if (e.keycode === LEFT_ARROW && echoes.left > 0) {
+    echoes.left--;
+    return true;
+  }
+  if (e.keycode === V_KEY && (e.ctrlKey || e.metaKey) && echoes.paste > 0) {
+    echoes.paste--;
+    return true;
+  }
+  const delimiter = DELIMITER_KEYS[e.keycode];
+  if (echoes.text > 0 && (delimiter || decodeKey(e))) {
+    echoes.text--;
+    return true;
+  }
+  if (delimiter && echoes.trailing[0] === delimiter) {
+    echoes.trailing.shift();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Hold a keydown until the running expansion is done. Keys typed into a fill-in
+ * prompt, modifier presses and the injector's echoes are dropped.
+ */
+function queueKey(e) {
+  if (prompting || MODIFIER_KEYS.has(e.keycode) || isEcho(e)) return;
+  if (keyQueue.length >= MAX_QUEUED_KEYS) return;
+  const { keycode, shiftKey, ctrlKey, altKey, metaKey } = e;
+  keyQueue.push({ keycode, shiftKey, ctrlKey, altKey, metaKey, altGr: altGrHeld });
+}
+
+// What a space / enter / tab types, for retyping
+const DELIMITER_TEXT = { space: ' ', enter: '\n', tab: '\t' };
+
+/**
+ * The text the queued keys typed into the app, or null when one of them did
+ * more than type (Backspace, arrows, shortcuts, dead keys…) — then there is no
+ * telling what the shortcut's surroundings look like anymore.
+ */
+function queuedText() {
+  const caps = capsLock;
+  try {
+    let text = '';
+    for (const e of keyQueue) {
+      if (e.keycode === CAPS_LOCK) {
+        capsLock = !capsLock;
+        continue;
+      }
+      if (isChord(e)) return null;
+      const delimiter = DELIMITER_KEYS[e.keycode];
+      if (delimiter) {
+        text += DELIMITER_TEXT[delimiter];
+        continue;
+      }
+      const char = decodeKey(e);
+      if (typeof char !== 'string') return null;
+      text += char;
+    }
+    return text;
+  } finally {
+    capsLock = caps;
+  }
+}
+
+/**
+ * Feed queued keystrokes to the matcher in the order they were typed. Stops as
+ * soon as one fires another expansion — the rest wait for that one to finish.
+ */
+function replayQueuedKeys() {
+  replayTimer = null;
+  echoes = null;
+  while (keyQueue.length && !expanding) processKey(keyQueue.shift());
+}
+
+/**
+ * Backspace right after an expansion: the user's Backspace already removed one
+ * character, so delete the rest of the inserted text and type the literal shortcut
+ * back (plus the trigger key, in delimiter mode). Typed rather than pasted, so a
+ * pending clipboard restore is left alone. The usage count and log entry are
+ * rolled back so the stats stay honest.
+ */
+function undoExpansion(undo) {
+  expanding = true;
+
+  const steps = [{ key: 'backspace', count: undo.insertedLength - 1 }, { text: undo.typed }];
+  if (undo.delimiter) steps.push({ key: undo.delimiter });
+
+  expectEchoes(steps);
+  inject(steps, (err) => {
+    finishInjection(err);
+    resetBuffer(!!undo.delimiter);
+  });
+
+  try {
+    const db = require('./database');
+    db.revertUsage(undo.snippetId, undo.logId);
+  } catch {}
+  if (onExpansionDone) try { onExpansionDone(); } catch {}
+}
+
+/**
+ * Simulated typing: backspaces, then the body as keystrokes.
+ * Never touches the clipboard — works in apps that block paste and doesn't
+ * trip password managers watching the clipboard. Slower for long bodies.
+ */
+function typeExpansion(expansion) {
+  const steps = [{ key: 'backspace', count: expansion.deleteCount }, { text: expansion.text }, ...afterBodySteps(expansion)];
+
+  expectEchoes(steps);
+  inject(steps, (err) => {
+    finishInjection(err);
+
+    if (onExpansionDone) try { onExpansionDone(); } catch {}
+  });
+}
+
 /**
- * Run a single AppleScript that does backspaces + paste in one shot.
- * Uses execFile (async, no shell) — immune to EPIPE crashes.
+ * Clipboard paste: backspaces + paste in one shot.
+ * Injectors use execFile (async, no shell) — immune to EPIPE crashes.
  *
  * CLIPBOARD STRATEGY:
  * - Save clipboard ONCE (only if no pending restore — handles rapid-fire)
  * - Cancel any pending restore timer on new expansion
- * - Unlock `expanding` flag IMMEDIATELY when osascript returns (don't block keystrokes)
+ * - Unlock `expanding` flag IMMEDIATELY when the injector returns (don't block keystrokes)
  * - Restore clipboard 800ms later (generous — target app needs time to process Cmd+V)
  */
-function runExpansion(deleteCount, expandedText) {
-  // ── Play pop sound immediately (fire-and-forget) ──
-  playPopSound();
-
-  // ── Save clipboard ONLY if we don't have a pending restore ──
-  // This prevents saving expansion text from a previous rapid-fire expansion
-  if (!savedClipboard) {
+function pasteExpansion(expansion) {
+  const { deleteCount, text, html, image } = expansion;
+  // ── Snapshot the clipboard ONLY if we don't have a pending restore ──
+  // During a pending restore the clipboard holds a previous rapid-fire expansion —
+  // unless the user copied something new since, which then is what to keep
+  if (!pastedFingerprint || userCopiedSincePaste()) {
     try {
-      const img = clipboard.readImage();
-      if (img && !img.isEmpty()) {
-        savedClipboard = { type: 'image', data: img };
-      } else {
-        const text = clipboard.readText();
-        if (text) {
-          savedClipboard = { type: 'text', data: text };
-        }
-      }
+      savedClipboard = clipboardSnapshot.takeSnapshot();
     } catch {
       // If clipboard read fails, we just won't restore
+      savedClipboard = undefined;
     }
   }
 
@@ -154,149 +457,812 @@ function runExpansion(deleteCount, expandedText) {
     clipboardRestoreTimer = null;
   }
 
-  // Write expansion text to clipboard for paste
-  clipboard.writeText(expandedText);
+  // Write expansion text to clipboard for paste — rich snippets carry HTML plus a plain fallback
+  if (image) {
+    clipboard.writeImage(image);
+  } else if (html) {
+    clipboard.write({ text, html });
+  } else {
+    clipboard.writeText(text);
+  }
+  pastedFingerprint = clipboardSnapshot.fingerprint();
 
-  // Single AppleScript: backspaces then immediate paste — no artificial delays
-  const script = `tell application "System Events"
-repeat ${deleteCount} times
-key code 51
-end repeat
-keystroke "v" using command down
-end tell`;
+  // Backspaces then immediate paste — no artificial delays
+  const steps = [{ key: 'backspace', count: deleteCount }, { key: 'paste' }, ...afterBodySteps(expansion)];
 
-  execFile('osascript', ['-e', script], (err) => {
-    // ── IMMEDIATELY unlock keystrokes — osascript is done ──
-    expanding = false;
+  // Which app we paste into decides how long it gets to read the clipboard
+  const paste = ++pasteSeq;
+  const appLookup = getActiveApp ? getActiveApp().catch(() => null) : Promise.resolve(null);
+  const startedAt = Date.now();
 
-    if (err) {
-      console.error('[SnapCut] Expansion osascript failed:', err.message);
-    }
+  expectEchoes(steps);
+  inject(steps, async (err) => {
+    // ── IMMEDIATELY unlock keystrokes — injector is done ──
+    finishInjection(err);
+    const injectMs = Date.now() - startedAt;
+
+    // ── Restore clipboard after the app's delay ──
+    // The target app receives Cmd+V from the event queue AFTER the injector returns.
+    // It then needs to read the clipboard — slow apps get a longer delay (restoreDelayFor).
+    const app = await appLookup;
+    if (paste !== pasteSeq) return; // a newer paste owns the clipboard and its restore
+    const delayMs = restoreDelayFor(app);
+    const appName = app ? app.names[0] : null;
+    lastPaste = { app: appName, at: Date.now(), injectMs, delayMs };
+    console.log(`[SnapCut] Pasted in ${injectMs}ms into ${appName || 'unknown app'} — restoring clipboard in ${delayMs}ms`);
 
-    // ── Restore clipboard after generous delay ──
-    // The target app receives Cmd+V from the event queue AFTER osascript returns.
-    // It then needs to read the clipboard. 800ms gives even slow apps plenty of time.
     clipboardRestoreTimer = setTimeout(() => {
       clipboardRestoreTimer = null;
       try {
-        if (savedClipboard && savedClipboard.type === 'image') {
-          clipboard.writeImage(savedClipboard.data);
-        } else if (savedClipboard && savedClipboard.type === 'text') {
-          clipboard.writeText(savedClipboard.data);
+        // Something copied during the window is newer than our snapshot — leave it
+        if (userCopiedSincePaste()) {
+          console.log('[SnapCut] Clipboard changed since the paste — not restoring');
+        } else if (savedClipboard !== undefined) {
+          clipboardSnapshot.restoreSnapshot(savedClipboard);
         }
       } catch {
         // If restore fails, just leave it
       }
       savedClipboard = null;
+      pastedFingerprint = null;
 
       // Notify dashboard after full cycle completes
       if (onExpansionDone) try { onExpansionDone(); } catch {}
-    }, CLIPBOARD_RESTORE_DELAY);
+    }, delayMs);
   });
 }
 
+/**
+ * Clipboard restore delay for an app: its learned / edited profile, else the base delay.
+ * Profiles are keyed by lowercased app name (any of the names getActiveApp reports).
+ */
+function restoreDelayFor(app) {
+  const { baseMs, profiles } = settings.restore;
+  const names = app ? app.names.map((n) => n.toLowerCase()) : [];
+  const name = names.find((n) => profiles[n]);
+  return name ? profiles[name] : baseMs;
+}
+
+/**
+ * The most recent paste expansion: { app, at, injectMs, delayMs } or null.
+ */
+function getLastPaste() {
+  return lastPaste;
+}
+
+// True when the clipboard no longer holds the expansion we pasted
+function userCopiedSincePaste() {
+  try {
+    return clipboardSnapshot.fingerprint() !== pastedFingerprint;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Check if the end of the buffer matches any shortcut.
- * Returns the matched snippet or null.
+ * Returns { snippet, matchLen, typed } or null — `typed` is the shortcut as the
+ * user actually typed it (original case), used by adapt-case snippets.
  */
 function checkBufferMatch() {
   const lower = buffer.toLowerCase();
-  for (const key of shortcutList) {
-    if (lower.endsWith(key)) {
-      return { snippet: snippetMap[key], matchLen: key.length };
+  for (const { key, snippet } of shortcutList) {
+    const haystack = snippet.case_sensitive ? buffer : lower;
+    if (haystack.endsWith(key) && (!wantsWordStart(snippet) || isAtWordStart(key.length))) {
+      return { snippet, matchLen: key.length, typed: buffer.slice(-key.length) };
+    }
+  }
+  // Regex triggers only when no literal shortcut matched — their captures go to {$n}
+  for (const entry of regexList) {
+    const { re, snippet } = entry;
+    let match;
+    try {
+      match = triggers.matchTrigger(re, buffer);
+    } catch (err) {
+      // Too slow to run on every keystroke — off until the snippets are reloaded
+      regexList = regexList.filter((r) => r !== entry);
+      reportError(`Regex trigger "${snippet.shortcut}" was switched off: ${err.message}`);
+      continue;
+    }
+    if (match && (!wantsWordStart(snippet) || isAtWordStart(match.matchLen))) {
+      return { snippet, ...match };
     }
   }
   return null;
 }
 
 /**
- * Update the snippet map without restarting the hook.
+ * Whether a snippet only fires at the start of a word (its own flag, else the global default).
  */
-function updateSnippets(snippets) {
-  snippetMap = {};
-  for (const s of snippets) {
-    snippetMap[s.shortcut.toLowerCase()] = s;
+function wantsWordStart(snippet) {
+  if (snippet.word_start === null || snippet.word_start === undefined) return settings.wordStart;
+  return !!snippet.word_start;
+}
+
+/**
+ * True when the last `matchLen` buffer characters start a word: the character before
+ * them is a boundary (anything but a letter or digit), or they begin the buffer and
+ * the buffer itself started at a boundary.
+ */
+function isAtWordStart(matchLen) {
+  const before = buffer.length - matchLen;
+  if (before > 0) return !WORD_CHAR.test(buffer[before - 1]);
+  return bufferAtBoundary;
+}
+
+/**
+ * Re-case the body to follow how the shortcut was typed:
+ * "BRB" → "BE RIGHT BACK", "Brb" → "Be right back", "brb" → body verbatim.
+ */
+function adaptCase(typed, text) {
+  const letters = typed.replace(/[^\p{L}]/gu, '');
+  if (!letters || letters === letters.toLowerCase()) return text;
+  if (letters.length > 1 && letters === letters.toUpperCase()) return text.toUpperCase();
+  if (letters[0] !== letters[0].toUpperCase()) return text;
+  // Capitalize the first letter, skipping leading punctuation / whitespace
+  return text.replace(/\p{L}/u, (c) => c.toUpperCase());
+}
+
+/**
+ * True when the listener should wait for a trigger key instead of firing instantly.
+ * Delimiter mode with every trigger key switched off falls back to instant-fire,
+ * otherwise nothing could ever expand.
+ */
+function usesDelimiter() {
+  if (settings.mode !== 'delimiter') return false;
+  const { space, enter, tab } = settings.triggers;
+  return space || enter || tab;
+}
+
+// ── Per-app rules ──
+
+// "code, slack\nfirefox" → ['code', 'slack', 'firefox']
+function parseAppList(text) {
+  return (text || '').split(/[,\n]/).map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * The rule that governs a snippet: its own, else its category's, else the global one.
+ * Returns { mode: 'any' | 'only' | 'never', apps: [...], source }.
+ */
+function effectiveAppRule(snippet) {
+  if (snippet.app_rule_mode) {
+    return { mode: snippet.app_rule_mode, apps: parseAppList(snippet.app_rule_apps), source: 'snippet' };
+  }
+  const category = settings.categoryRules[snippet.category];
+  if (category && category.mode) {
+    return { mode: category.mode, apps: parseAppList(category.apps), source: `category "${snippet.category}"` };
   }
-  // Sort longest-first so "dev12" matches before "dev1"
-  shortcutList = Object.keys(snippetMap).sort((a, b) => b.length - a.length);
-  console.log('[SnapCut] Snippet map updated with', shortcutList.length, 'shortcuts');
+  return { mode: settings.appRule.mode || 'any', apps: parseAppList(settings.appRule.apps), source: 'global' };
 }
 
-function startKeyListener(snippets, expansionCallback) {
-  // Store the notification callback
-  if (expansionCallback) onExpansionDone = expansionCallback;
+/**
+ * Whether `rule` lets a snippet expand in `app` (null = couldn't tell which app).
+ * Names match case-insensitively as substrings of the window class / app name.
+ * An unknown app never satisfies "only in", and never trips "never in".
+ */
+function ruleAllows(rule, app) {
+  if (rule.mode !== 'only' && rule.mode !== 'never') return true;
+  const names = app ? app.names.map((n) => n.toLowerCase()) : [];
+  const listed = rule.apps.some((entry) => names.some((n) => n.includes(entry)));
+  return rule.mode === 'only' ? listed : !listed;
+}
 
-  // Generate pop sound on first call
-  if (!popSoundPath) {
-    generatePopSound();
+function logSkipped(snippet, rule, app) {
+  const entry = {
+    at: new Date().toISOString(),
+    shortcut: snippet.shortcut,
+    app: app ? app.names.join(' / ') : 'unknown',
+    rule: `${rule.source}: ${rule.mode === 'only' ? 'only in' : 'never in'} ${rule.apps.join(', ') || '(no apps)'}`,
+  };
+  skippedExpansions.push(entry);
+  if (skippedExpansions.length > SKIPPED_LOG_SIZE) skippedExpansions.shift();
+  console.log('[SnapCut] Skipped expansion of', entry.shortcut, 'in', entry.app, '—', entry.rule);
+}
+
+/**
+ * Recent expansions skipped by a per-app rule (Settings shows them for debugging).
+ */
+function getSkippedExpansions() {
+  return skippedExpansions.slice();
+}
+
+/**
+ * Expand a matched snippet, if its per-app rule allows it in the focused app.
+ * `delimiter` is the trigger key that fired it (delimiter mode) or null (instant mode).
+ * The focused app is only looked up when a rule restricts the snippet, or for the
+ * match-time focus check (see windowUnchanged).
+ */
+function fireExpansion(match, delimiter) {
+  expanding = true;
+
+  const rule = effectiveAppRule(match.snippet);
+  const ruled = rule.mode === 'only' || rule.mode === 'never';
+  const checkFocus = settings.resetOnFocus && !stopFocusWatch && !!getActiveApp;
+  if (!ruled && !checkFocus) {
+    expandMatch(match, delimiter);
+    return;
   }
 
-  if (active) {
-    updateSnippets(snippets);
+  (getActiveApp ? getActiveApp() : Promise.resolve(null))
+    .then((app) => {
+      if (checkFocus && !windowUnchanged(app)) {
+        console.log('[SnapCut] Active window changed while the shortcut was typed — not expanding');
+        finishInjection(null);
+      } else if (!ruled || ruleAllows(rule, app)) {
+        expandMatch(match, delimiter);
+      } else {
+        logSkipped(match.snippet, rule, app);
+        finishInjection(null);
+      }
+    })
+    .catch((err) => finishInjection(err));
+}
+
+/**
+ * Expand a matched snippet that passed its app rule.
+ * Fill-in snippets ask for their field values first; what is typed into the
+ * prompt is never matched, and cancelling leaves the shortcut as typed.
+ */
+function expandMatch(match, delimiter) {
+  if (match.snippet.format === 'image') {
+    insertImage(match, delimiter);
+    return;
+  }
+  if (match.snippet.format === 'script') {
+    // Scripts are code, like {shell:…} — imported ones never run until trusted
+    if (!match.snippet.trusted) {
+      reportError(`"${match.snippet.shortcut}" isn't trusted to run its script — turn on "Trusted" in the editor`);
+      finishInjection(null);
+      return;
+    }
+    expandScript(match, delimiter);
+    return;
+  }
+
+  // Inline {snippet:…} references first, so nested fields get prompted too
+  const body = placeholders.resolveSnippets(
+    match.snippet.body,
+    (shortcut) => (snippetMap[shortcut.toLowerCase()] ? snippetMap[shortcut.toLowerCase()].body : null),
+    [match.snippet.shortcut.toLowerCase()]
+  );
+
+  // Refuse shell commands up front — no point asking for field values first
+  const commands = placeholders.shellCommands(body);
+  const refusal = commands.length ? shellRefusal(match.snippet, commands) : null;
+  if (refusal) {
+    reportError(refusal);
+    finishInjection(null);
+    return;
+  }
+
+  const fields = placeholders.extractFields(body);
+  if (!fields.length || !promptForFields) {
+    runCommandsAndInsert(match, delimiter, body, {}, commands);
     return;
   }
 
+  askForFields(fields, match.snippet)
+    .then((values) => {
+      if (values) {
+        runCommandsAndInsert(match, delimiter, body, { values }, commands);
+      } else {
+        finishInjection(null);
+      }
+    })
+    .catch((err) => finishInjection(err));
+}
+
+// ── Script snippets ──
+
+/**
+ * Run a script snippet in the sandbox and insert what it returns. Fill-in fields
+ * named in the script ({input:…}) are prompted first and passed as `values`.
+ * A failing script inserts nothing — the shortcut stays as typed.
+ */
+function expandScript(match, delimiter) {
+  const run = (values) => {
+    const result = sandbox.runScript(match.snippet.body, {
+      values,
+      groups: match.groups || [],
+      clipboardText: userClipboardText(),
+    });
+    if (result.error) {
+      reportError(`Script "${match.snippet.shortcut}" failed: ${result.error}`);
+      finishInjection(null);
+      return;
+    }
+    // The output is inserted as is — never read as placeholders
+    insertText(match, delimiter, { text: result.text.replace(/\r\n/g, '\n'), caretOffset: 0 });
+  };
+
+  const fields = placeholders.extractFields(match.snippet.body);
+  if (!fields.length || !promptForFields) {
+    run({});
+    return;
+  }
+  askForFields(fields, match.snippet)
+    .then((values) => (values ? run(values) : finishInjection(null)))
+    .catch((err) => finishInjection(err));
+}
+
+// Keys typed while the prompt is open go into it, so they are not queued
+function askForFields(fields, snippet) {
+  prompting = true;
+  return promptForFields(fields, snippet).finally(() => {
+    prompting = false;
+  });
+}
+
+// The user's clipboard text — while a paste restore is pending, the clipboard still holds our expansion
+function userClipboardText() {
+  if (pastedFingerprint && !userCopiedSincePaste()) return savedClipboard ? savedClipboard.text : '';
+  return clipboard.readText();
+}
+
+// ── Shell commands ──
+
+/**
+ * Why a snippet may not run its {shell:…} commands, or null if it may.
+ * Commands pulled in from nested snippets don't count as the snippet's own.
+ */
+function shellRefusal(snippet, commands) {
+  if (!settings.shell.enabled) return `"${snippet.shortcut}" uses {shell:…}, but shell commands are turned off in Settings`;
+  if (!snippet.trusted) return `"${snippet.shortcut}" isn't trusted to run shell commands — turn on "Trusted" in the editor`;
+  const own = placeholders.shellCommands(snippet.body);
+  const foreign = commands.find((c) => !own.includes(c));
+  if (foreign) return `"${snippet.shortcut}" can't run "${foreign}" — it comes from a nested snippet`;
+  return null;
+}
+
+function reportError(message) {
+  console.error('[SnapCut]', message);
+  if (notifyError) try { notifyError(message); } catch {}
+}
+
+/**
+ * Run the body's shell commands, then insert with their output. A failing command
+ * inserts nothing — the shortcut stays as typed.
+ */
+function runCommandsAndInsert(match, delimiter, body, ctx, commands) {
+  if (!commands.length) {
+    insertExpansion(match, delimiter, body, ctx);
+    return;
+  }
+  shell.runCommands(commands, settings.shell)
+    .then((outputs) => insertExpansion(match, delimiter, body, { ...ctx, shell: outputs }))
+    .catch((err) => {
+      reportError(`Shell command failed: ${err.message}`);
+      finishInjection(null);
+    });
+}
+
+/**
+ * Insert a snippet picked outside the typing flow (quick-search launcher) at the
+ * caret: nothing to delete, no trigger key, no per-app rule — the user chose it.
+ * Returns false if another expansion is still running.
+ */
+function insertSnippet(snippet) {
+  if (expanding) return false;
+  expanding = true;
+  lastExpansion = null;
+  resetBuffer(false);
+  // Regex snippets have nothing typed to capture — their {$n} insert nothing
+  expandMatch({ snippet, matchLen: 0, typed: '', groups: [] }, null);
+  return true;
+}
+
+/**
+ * Render `body` (nested snippets already inlined) and inject it in place of the shortcut.
+ * `ctx` is passed to the placeholder engine (fill-in `values`).
+ */
+function insertExpansion(match, delimiter, body, ctx) {
+  // Placeholders first, then the caret marker, then (in insertText) re-casing of the final text
+  const escape = richtext.placeholderEscape(match.snippet.format);
+  insertText(match, delimiter, placeholders.extractCursor(placeholders.render(body, { ...ctx, groups: match.groups, escape })));
+}
+
+/**
+ * Inject rendered text ({ text, caretOffset }) in place of the shortcut.
+ */
+function insertText(match, delimiter, rendered) {
+  const { snippet, matchLen, typed } = match;
+
+  // Rich (HTML / Markdown) snippets paste HTML with a plain-text fallback. Markup
+  // offsets don't map to characters in the target app, so no re-casing, caret
+  // placement or Backspace undo for them.
+  const rich = richtext.isRich(snippet.format);
+  const clip = richtext.toClipboard(rendered.text, snippet.format);
+  const text = !rich && snippet.adapt_case ? adaptCase(typed, clip.text) : clip.text;
+  const caretOffset = rich ? 0 : rendered.caretOffset;
+  const expansion = {
+    // Delete the shortcut, plus the trigger key the target app already received
+    deleteCount: matchLen + (delimiter ? 1 : 0),
+    text,
+    html: clip.html,
+    trailingKey: delimiter && settings.keepDelimiter ? delimiter : null,
+    // Per-snippet override wins over the global strategy
+    strategy: snippet.inject_mode || settings.strategy,
+    caretOffset,
+  };
+
+  // Remember enough to put the shortcut back if the next key is Backspace
+  // (not once the caret has moved into the body — Backspace would delete the wrong text)
+  const undo = settings.undoBackspace && !caretOffset && !rich
+    ? {
+      snippetId: snippet.id,
+      logId: null,
+      typed,
+      delimiter,
+      // Backspaces count characters as the app sees them: code points (CRLF already folded)
+      insertedLength: [...text].length + (expansion.trailingKey ? 1 : 0),
+    }
+    : null;
+  lastExpansion = undo;
+  dispatchExpansion(expansion, snippet.id, undo);
+}
+
+/**
+ * Paste an image snippet in place of the shortcut. Images can only be pasted,
+ * whatever the insert strategy, and can't be undone with Backspace.
+ */
+function insertImage(match, delimiter) {
+  const { snippet, matchLen } = match;
+  const image = images.loadImage(snippet.image_path);
+  if (image.isEmpty()) {
+    console.error('[SnapCut] Image for snippet', snippet.shortcut, 'is missing — nothing inserted');
+    finishInjection(null);
+    return;
+  }
+
+  lastExpansion = null;
+  dispatchExpansion({
+    deleteCount: matchLen + (delimiter ? 1 : 0),
+    text: '',
+    html: null,
+    image,
+    trailingKey: delimiter && settings.keepDelimiter ? delimiter : null,
+    strategy: 'paste',
+    caretOffset: 0,
+  }, snippet.id, null);
+}
+
+/**
+ * Run an expansion on the next tick and count the usage (the log id goes into
+ * the undo info, so an undo can roll it back).
+ */
+function dispatchExpansion(expansion, snippetId, undo) {
+  // Fire immediately — no artificial delay
+  setImmediate(() => {
+    // Keys typed since the shortcut (app lookup, shell commands…) already reached the app
+    const retype = queuedText();
+    if (retype === null) {
+      console.log('[SnapCut] Keys other than text were pressed while the expansion was prepared — nothing inserted');
+      lastExpansion = null;
+      finishInjection(null);
+      return;
+    }
+    if (retype) {
+      // Backspace would now delete the retyped keys, not the body
+      lastExpansion = null;
+      runExpansion({ ...expansion, deleteCount: expansion.deleteCount + [...retype].length, retype });
+    } else {
+      runExpansion({ ...expansion, retype: null });
+    }
+
+    // Increment usage
+    try {
+      const db = require('./database');
+      const logId = db.incrementUsage(snippetId);
+      if (undo) undo.logId = logId;
+    } catch {}
+  });
+}
+
+/**
+ * Clear the keystroke buffer. `atBoundary` records whether what comes before the
+ * caret is a word boundary (space / enter / tab, or a fresh start) or the end of
+ * a word (an expanded body), for word-start-only snippets.
+ */
+function resetBuffer(atBoundary) {
+  buffer = '';
+  pendingDead = null;
+  bufferAtBoundary = atBoundary;
+}
+
+/**
+ * Apply listener settings (expansion mode, trigger keys, insert strategy, undo) without restarting the hook.
+ */
+function updateSettings(next) {
+  settings = {
+    ...settings,
+    ...next,
+    triggers: { ...settings.triggers, ...(next && next.triggers) },
+  };
+  keyLayout = layouts.getLayout(settings.layout);
+  resetBuffer(true);
+  lastExpansion = null;
+  syncFocusWatch();
+  console.log('[SnapCut] Listener settings updated:', usesDelimiter() ? 'delimiter mode' : 'instant-fire mode');
+}
+
+/**
+ * Rebuild the lookup structures from the snippet list.
+ * Case-sensitive snippets match the buffer as typed; the rest match lowercased.
+ * Regex triggers are compiled separately and can't be referenced with {snippet:…}.
+ */
+function indexSnippets(snippets) {
   snippetMap = {};
+  shortcutList = [];
+  regexList = [];
   for (const s of snippets) {
+    if (s.trigger_type === 'regex') {
+      if (!s.enabled) continue;
+      const error = triggers.validateTrigger(s.shortcut);
+      if (error) console.warn('[SnapCut] Skipping regex trigger', s.shortcut, '—', error);
+      else regexList.push({ re: triggers.compileTrigger(s.shortcut, !!s.case_sensitive), snippet: s });
+      continue;
+    }
+    // A disabled snippet can still be inlined by {snippet:…} — it just never fires
     snippetMap[s.shortcut.toLowerCase()] = s;
+    if (!s.enabled) continue;
+    shortcutList.push({ key: s.case_sensitive ? s.shortcut : s.shortcut.toLowerCase(), snippet: s });
   }
-  shortcutList = Object.keys(snippetMap).sort((a, b) => b.length - a.length);
-  buffer = '';
+  // Sort longest-first so "dev12" matches before "dev1";
+  // at equal length an exact-case shortcut beats a case-insensitive one
+  shortcutList.sort((a, b) =>
+    b.key.length - a.key.length || (b.snippet.case_sensitive ? 1 : 0) - (a.snippet.case_sensitive ? 1 : 0)
+  );
+}
 
-  try {
-    const { uIOhook } = require('uiohook-napi');
-    uiohook = uIOhook;
+// ── Buffer resets outside the keyboard ──
+// A click, a window switch or a long pause means the next keys may land somewhere
+// else — "ad", click into another field, "dr" must not fire "addr"
 
-    uiohook.on('keydown', (e) => {
-      // Skip if we're in the middle of an expansion
-      if (expanding) return;
+/**
+ * Global mousedown handler: the caret may have moved, so the buffer and undo are stale.
+ */
+function handleMousedown() {
+  if (!settings.resetOnClick || expanding) return;
+  resetBuffer(true);
+  lastExpansion = null;
+  keyQueue = [];
+  // A click is how focus normally moves — the next word starts in a known place
+  lastWindow = null;
+}
 
-      if (BACKSPACE === e.keycode) {
-        buffer = buffer.slice(0, -1);
-        return;
-      }
+// Where focus changes can be watched (X11), the buffer resets the moment they
+// happen. Elsewhere the window is only compared when a match is about to fire —
+// no lookup processes run while the user is just typing.
 
-      const char = KEYCODE_MAP[e.keycode];
-      if (!char) {
-        // Non-mappable key (shift, ctrl, etc.) — reset buffer on space/enter/tab/escape
-        if ([57, 28, 15, 1].includes(e.keycode)) {
-          buffer = '';
-        }
-        return;
-      }
+function handleFocusChange() {
+  if (!buffer || expanding) return;
+  console.log('[SnapCut] Active window changed — buffer reset');
+  resetBuffer(true);
+}
+
+/**
+ * Match-time focus check: whether the focused window is the one the previous
+ * check saw. Clicks and chords (Alt+Tab, Cmd+Tab) reset the buffer and forget the
+ * window, so a change only counts when focus moved without them, mid-word.
+ */
+function windowUnchanged(app) {
+  const id = app ? app.id || app.names.join('\n') : null;
+  const unchanged = !id || !lastWindow || id === lastWindow;
+  if (id) lastWindow = id;
+  return unchanged;
+}
 
-      buffer += char;
-      // Keep buffer reasonable
-      if (buffer.length > 50) buffer = buffer.slice(-30);
+// Run the focus watcher while resetOnFocus is on (and the platform has one)
+function syncFocusWatch() {
+  if (settings.resetOnFocus && active && !stopFocusWatch && watchActiveWindow) {
+    stopFocusWatch = watchActiveWindow(handleFocusChange, () => {
+      console.warn('[SnapCut] Focus watcher stopped — checking the window when a shortcut fires instead');
+      stopFocusWatch = null;
+    });
+  } else if ((!settings.resetOnFocus || !active) && stopFocusWatch) {
+    stopFocusWatch();
+    stopFocusWatch = null;
+  }
+}
+
+/**
+ * Wire up callbacks owned by the main process:
+ * - promptForFields(fields, snippet) → Promise resolving to { label: value } or null (cancelled)
+ * - getActiveApp() → Promise resolving to { names, title, id } or null (see active-window.js)
+ * - notifyError(message) → shows an expansion error to the user
+ * - isLauncherOpen() → true while the launcher window is showing (its search is not matched)
+ * - watchActiveWindow(onChange, onEnd) → stop() or null, reports focus changes (see active-window.js)
+ */
+function setHooks(hooks) {
+  if (hooks.promptForFields) promptForFields = hooks.promptForFields;
+  if (hooks.getActiveApp) getActiveApp = hooks.getActiveApp;
+  if (hooks.notifyError) notifyError = hooks.notifyError;
+  if (hooks.isLauncherOpen) isLauncherOpen = hooks.isLauncherOpen;
+  if (hooks.watchActiveWindow) watchActiveWindow = hooks.watchActiveWindow;
+}
+
+/**
+ * Update the snippet map without restarting the hook.
+ */
+function updateSnippets(snippets) {
+  indexSnippets(snippets);
+  console.log('[SnapCut] Snippet map updated with', shortcutList.length, 'shortcuts and', regexList.length, 'regex triggers');
+}
+
+/**
+ * Global keyup handler: only tracks AltGr, which uiohook doesn't report as a modifier flag.
+ */
+function handleKeyup(e) {
+  if (e.keycode === ALT_GR) altGrHeld = false;
+}
+
+/**
+ * Global keydown handler. Keys arriving mid-expansion are queued (see queueKey);
+ * otherwise anything still queued is replayed first, so keys are matched in order.
+ */
+function handleKeydown(e) {
+  // Modifier state is tracked even while expanding
+  if (e.keycode === ALT_GR) {
+    altGrHeld = true;
+    return;
+  }
+
+  // A search typed into the launcher is not text in the app underneath
+  if (isLauncherOpen && isLauncherOpen()) {
+    if (buffer) resetBuffer(true);
+    lastExpansion = null;
+    return;
+  }
+
+  if (expanding || Date.now() < settleUntil) {
+    queueKey(e);
+    return;
+  }
+  echoes = null;
+  if (keyQueue.length) replayQueuedKeys();
+  // A replayed key may have fired another expansion
+  if (expanding) {
+    queueKey(e);
+    return;
+  }
+  processKey(e);
+}
+
+/**
+ * Match one keystroke: track the typed buffer and fire expansions.
+ */
+function processKey(e) {
+  const now = Date.now();
+
+  // After a long pause the half-typed word is probably abandoned
+  if (settings.idleResetMs > 0 && buffer && now - lastKeyAt > settings.idleResetMs) {
+    resetBuffer(true);
+  }
+  lastKeyAt = now;
+
+  // Only the very first key after an expansion can undo it
+  if (lastExpansion) {
+    const undo = lastExpansion;
+    lastExpansion = null;
+    if (BACKSPACE === e.keycode) {
+      undoExpansion(undo);
+      return;
+    }
+  }
 
-      // Check for match immediately after every keystroke
+  if (BACKSPACE === e.keycode) {
+    // Backspace after a dead key just cancels the accent
+    if (pendingDead) pendingDead = null;
+    else if (buffer) buffer = buffer.slice(0, -1);
+    // It deleted something from before the buffer — what precedes the caret is unknown now
+    else bufferAtBoundary = false;
+    return;
+  }
+
+  const delimiter = DELIMITER_KEYS[e.keycode];
+  if (delimiter) {
+    // Delimiter mode: an enabled trigger key right after a shortcut fires it —
+    // not as part of a chord (Ctrl+Enter to send, a Ctrl+Shift+Space hotkey),
+    // which types no character to delete or re-emit
+    if (usesDelimiter() && settings.triggers[delimiter] && !isChord(e)) {
       const match = checkBufferMatch();
       if (match) {
-        const { snippet, matchLen } = match;
-        expanding = true;
+        fireExpansion(match, delimiter);
+        // A swallowed delimiter leaves the caret right after the body
+        resetBuffer(settings.keepDelimiter);
+        return;
+      }
+    }
+    resetBuffer(true);
+    return;
+  }
+
+  if (e.keycode === CAPS_LOCK) {
+    capsLock = !capsLock;
+    return;
+  }
 
-        // Delete exactly the shortcut characters (no trigger key to delete)
-        const deleteCount = matchLen;
+  // Chords edit text in ways the buffer can't follow — start over.
+  // They also switch windows (Alt+Tab), so forget the window too.
+  if (isChord(e)) {
+    lastWindow = null;
+    resetBuffer(true);
+    return;
+  }
 
-        // Fire immediately — no artificial delay
-        setImmediate(() => {
-          runExpansion(deleteCount, snippet.body);
+  let char = decodeKey(e);
+  if (!char) {
+    // Non-mappable key (shift, ctrl, etc.) — escape abandons the current word
+    if (e.keycode === ESCAPE) {
+      resetBuffer(true);
+    }
+    return;
+  }
 
-          // Increment usage
-          try {
-            const db = require('./database');
-            db.incrementUsage(snippet.id);
-          } catch {}
-        });
+  // Dead keys type nothing until the next key; pressing one twice types the accent
+  if (char.dead) {
+    if (!pendingDead) {
+      pendingDead = char.dead;
+      return;
+    }
+    char = pendingDead;
+    pendingDead = null;
+  } else if (pendingDead) {
+    char = layouts.composeDead(pendingDead, char);
+    pendingDead = null;
+  }
 
-        // Clear buffer after match
-        buffer = '';
-      }
-    });
+  buffer += char;
+  // Keep buffer reasonable — remember whether the dropped part ended at a word boundary
+  if (buffer.length > 50) {
+    bufferAtBoundary = !WORD_CHAR.test(buffer[buffer.length - 31]);
+    buffer = buffer.slice(-30);
+  }
+
+  // Delimiter mode: matching waits for the trigger key
+  if (usesDelimiter()) return;
+
+  // Instant mode: check for match immediately after every keystroke
+  const match = checkBufferMatch();
+  if (match) {
+    fireExpansion(match, null);
+    // Clear buffer after match — the caret now sits right after the body
+    resetBuffer(false);
+  }
+}
+
+function startKeyListener(snippets, expansionCallback) {
+  // Store the notification callback
+  if (expansionCallback) onExpansionDone = expansionCallback;
+
+  // Generate pop sound on first call
+  if (!popSoundPath) {
+    generatePopSound();
+  }
+
+  if (active) {
+    updateSnippets(snippets);
+    return;
+  }
+
+  indexSnippets(snippets);
+  resetBuffer(true);
+
+  try {
+    // Register the hook handler once — a stopped listener (pause) restarts with the same one
+    if (!uiohook) {
+      const { uIOhook } = require('uiohook-napi');
+      uiohook = uIOhook;
+      uiohook.on('keydown', handleKeydown);
+      uiohook.on('keyup', handleKeyup);
+      uiohook.on('mousedown', handleMousedown);
+    }
 
     uiohook.start();
     active = true;
-    console.log('[SnapCut] Key listener started with', shortcutList.length, 'shortcuts (instant-fire mode)');
+    syncFocusWatch();
+    console.log('[SnapCut] Key listener started with', shortcutList.length, 'shortcuts', usesDelimiter() ? '(delimiter mode)' : '(instant-fire mode)');
   } catch (err) {
     console.error('[SnapCut] Failed to start key listener:', err.message);
     console.log('[SnapCut] Text expansion will work via manual copy from the app.');
@@ -309,7 +1275,25 @@ function stopKeyListener() {
       uiohook.stop();
     } catch {}
     active = false;
+    syncFocusWatch();
+    lastWindow = null;
+    altGrHeld = false;
+    clearTimeout(replayTimer);
+    replayTimer = null;
+    keyQueue = [];
+    echoes = null;
+    resetBuffer(true);
+    lastExpansion = null;
   }
 }
 
-module.exports = { startKeyListener, stopKeyListener, updateSnippets };
+module.exports = {
+  startKeyListener,
+  stopKeyListener,
+  updateSnippets,
+  updateSettings,
+  setHooks,
+  getSkippedExpansions,
+  getLastPaste,
+  insertSnippet,
+};
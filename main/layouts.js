@@ -0,0 +1,265 @@
+/**
+ * SnapCut Keyboard Layouts
+ * uiohook reports physical key positions (scan codes), not characters. Each layout
+ * maps those positions to what they type — base, Shift and AltGr levels — so the
+ * key listener reads "zz" on a German keyboard as "zz", not "yy".
+ *
+ * Layouts are written as overrides of US QWERTY. A `dead(accent)` entry is a dead
+ * key: it types nothing by itself and combines with the next character (^ + e → ê).
+ *
+ * detectLayout() asks the system for its keymap (setxkbmap / localectl on Linux,
+ * HIToolbox preferences on macOS) and resolves to a layout id, or null.
+ */
+
+const { execFile } = require('child_process');
+
+const dead = (accent) => ({ dead: accent });
+
+// ── US QWERTY (the baseline every layout starts from) ──
+
+const US = {
+  base: {
+    // Letters a-z
+    30: 'a', 48: 'b', 46: 'c', 32: 'd', 18: 'e', 33: 'f', 34: 'g', 35: 'h',
+    23: 'i', 36: 'j', 37: 'k', 38: 'l', 50: 'm', 49: 'n', 24: 'o', 25: 'p',
+    16: 'q', 19: 'r', 31: 's', 20: 't', 22: 'u', 47: 'v', 17: 'w', 45: 'x',
+    21: 'y', 44: 'z',
+    // Numbers 0-9
+    11: '0', 2: '1', 3: '2', 4: '3', 5: '4', 6: '5', 7: '6', 8: '7', 9: '8', 10: '9',
+    // Symbols
+    12: '-', 13: '=', 26: '[', 27: ']', 43: '\\', 39: ';', 40: "'", 51: ',', 52: '.', 53: '/', 41: '`',
+  },
+  // Letters are uppercased unless listed here
+  shift: {
+    11: ')', 2: '!', 3: '@', 4: '#', 5: '$', 6: '%', 7: '^', 8: '&', 9: '*', 10: '(',
+    12: '_', 13: '+', 26: '{', 27: '}', 43: '|', 39: ':', 40: '"', 51: '<', 52: '>', 53: '?', 41: '~',
+  },
+  altgr: {},
+};
+
+// Extra key left of Z on ISO keyboards (libuiohook's VC_LESSER_GREATER)
+const ISO_KEY = 0x0E46;
+
+const NORDIC_SHIFTED_DIGITS = {
+  2: '!', 3: '"', 4: '#', 5: '¤', 6: '%', 7: '&', 8: '/', 9: '(', 10: ')', 11: '=',
+};
+
+// ── Layout overrides ──
+
+const LAYOUTS = {
+  us: { label: 'English (US)' },
+
+  de: {
+    label: 'German (QWERTZ)',
+    base: {
+      21: 'z', 44: 'y', 12: 'ß', 13: dead('´'), 26: 'ü', 27: '+', 43: '#', 39: 'ö', 40: 'ä',
+      41: dead('^'), 53: '-', [ISO_KEY]: '<',
+    },
+    shift: {
+      2: '!', 3: '"', 4: '§', 5: '$', 6: '%', 7: '&', 8: '/', 9: '(', 10: ')', 11: '=',
+      12: '?', 13: dead('`'), 27: '*', 43: "'", 41: '°', 51: ';', 52: ':', 53: '_', [ISO_KEY]: '>',
+    },
+    altgr: {
+      3: '²', 4: '³', 8: '{', 9: '[', 10: ']', 11: '}', 12: '\\', 16: '@', 18: '€', 27: '~',
+      50: 'µ', [ISO_KEY]: '|',
+    },
+  },
+
+  fr: {
+    label: 'French (AZERTY)',
+    base: {
+      16: 'a', 30: 'q', 17: 'z', 44: 'w', 39: 'm', 50: ',', 51: ';', 52: ':', 53: '!',
+      2: '&', 3: 'é', 4: '"', 5: "'", 6: '(', 7: '-', 8: 'è', 9: '_', 10: 'ç', 11: 'à',
+      12: ')', 13: '=', 26: dead('^'), 27: '$', 40: 'ù', 43: '*', 41: '²', [ISO_KEY]: '<',
+    },
+    shift: {
+      2: '1', 3: '2', 4: '3', 5: '4', 6: '5', 7: '6', 8: '7', 9: '8', 10: '9', 11: '0',
+      12: '°', 13: '+', 26: dead('¨'), 27: '£', 40: '%', 43: 'µ', 50: '?', 51: '.', 52: '/', 53: '§',
+      41: null, [ISO_KEY]: '>',
+    },
+    altgr: {
+      3: dead('~'), 4: '#', 5: '{', 6: '[', 7: '|', 8: dead('`'), 9: '\\', 10: '^', 11: '@',
+      12: ']', 13: '}', 18: '€', 27: '¤',
+    },
+  },
+
+  dvorak: {
+    label: 'Dvorak (US)',
+    base: {
+      12: '[', 13: ']', 16: "'", 17: ',', 18: '.', 19: 'p', 20: 'y', 21: 'f', 22: 'g', 23: 'c',
+      24: 'r', 25: 'l', 26: '/', 27: '=', 30: 'a', 31: 'o', 32: 'e', 33: 'u', 34: 'i', 35: 'd',
+      36: 'h', 37: 't', 38: 'n', 39: 's', 40: '-', 44: ';', 45: 'q', 46: 'j', 47: 'k', 48: 'x',
+      49: 'b', 50: 'm', 51: 'w', 52: 'v', 53: 'z',
+    },
+    shift: {
+      12: '{', 13: '}', 16: '"', 17: '<', 18: '>', 26: '?', 27: '+', 40: '_', 44: ':',
+    },
+  },
+
+  sv: {
+    label: 'Swedish / Finnish',
+    base: {
+      12: '+', 13: dead('´'), 26: 'å', 27: dead('¨'), 39: 'ö', 40: 'ä', 41: '§', 43: "'", 53: '-',
+      [ISO_KEY]: '<',
+    },
+    shift: {
+      ...NORDIC_SHIFTED_DIGITS,
+      12: '?', 13: dead('`'), 27: dead('^'), 41: '½', 43: '*', 51: ';', 52: ':', 53: '_', [ISO_KEY]: '>',
+    },
+    altgr: {
+      3: '@', 4: '£', 5: '$', 6: '€', 8: '{', 9: '[', 10: ']', 11: '}', 12: '\\', 27: dead('~'),
+      50: 'µ', [ISO_KEY]: '|',
+    },
+  },
+
+  no: {
+    label: 'Norwegian',
+    base: {
+      12: '+', 13: '\\', 26: 'å', 27: dead('¨'), 39: 'ø', 40: 'æ', 41: '|', 43: "'", 53: '-',
+      [ISO_KEY]: '<',
+    },
+    shift: {
+      ...NORDIC_SHIFTED_DIGITS,
+      12: '?', 13: dead('`'), 27: dead('^'), 41: '§', 43: '*', 51: ';', 52: ':', 53: '_', [ISO_KEY]: '>',
+    },
+    altgr: {
+      3: '@', 4: '£', 5: '$', 6: '€', 8: '{', 9: '[', 10: ']', 11: '}', 13: dead('´'), 27: dead('~'),
+      50: 'µ',
+    },
+  },
+
+  da: {
+    label: 'Danish',
+    base: {
+      12: '+', 13: dead('´'), 26: 'å', 27: dead('¨'), 39: 'æ', 40: 'ø', 41: '½', 43: "'", 53: '-',
+      [ISO_KEY]: '<',
+    },
+    shift: {
+      ...NORDIC_SHIFTED_DIGITS,
+      12: '?', 13: dead('`'), 27: dead('^'), 41: '§', 43: '*', 51: ';', 52: ':', 53: '_', [ISO_KEY]: '>',
+    },
+    altgr: {
+      3: '@', 4: '£', 5: '$', 6: '€', 8: '{', 9: '[', 10: ']', 11: '}', 13: '|', 27: dead('~'),
+      50: 'µ', [ISO_KEY]: '\\',
+    },
+  },
+};
+
+const DEFAULT_LAYOUT = 'us';
+
+// Merge a layout's overrides onto US QWERTY once; `null` removes a US entry
+function compile(layout) {
+  const merge = (usLevel, overrides) => {
+    const out = { ...usLevel, ...overrides };
+    for (const key of Object.keys(out)) if (out[key] === null) delete out[key];
+    return out;
+  };
+  return {
+    label: layout.label,
+    base: merge(US.base, layout.base),
+    shift: merge(US.shift, layout.shift),
+    altgr: merge(US.altgr, layout.altgr),
+    hasAltGr: Boolean(layout.altgr && Object.keys(layout.altgr).length),
+  };
+}
+
+const COMPILED = Object.fromEntries(Object.entries(LAYOUTS).map(([id, l]) => [id, compile(l)]));
+
+/**
+ * Compiled tables { label, base, shift, altgr, hasAltGr } for a layout id (US for unknown ids).
+ */
+function getLayout(id) {
+  return COMPILED[id] || COMPILED[DEFAULT_LAYOUT];
+}
+
+/**
+ * [{ id, label }] for the Settings picker.
+ */
+function listLayouts() {
+  return Object.entries(LAYOUTS).map(([id, l]) => ({ id, label: l.label }));
+}
+
+// ── Dead keys ──
+
+const COMPOSE = {
+  '´': { a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú', y: 'ý', A: 'Á', E: 'É', I: 'Í', O: 'Ó', U: 'Ú', Y: 'Ý' },
+  '`': { a: 'à', e: 'è', i: 'ì', o: 'ò', u: 'ù', A: 'À', E: 'È', I: 'Ì', O: 'Ò', U: 'Ù' },
+  '^': { a: 'â', e: 'ê', i: 'î', o: 'ô', u: 'û', A: 'Â', E: 'Ê', I: 'Î', O: 'Ô', U: 'Û' },
+  '¨': { a: 'ä', e: 'ë', i: 'ï', o: 'ö', u: 'ü', y: 'ÿ', A: 'Ä', E: 'Ë', I: 'Ï', O: 'Ö', U: 'Ü' },
+  '~': { a: 'ã', n: 'ñ', o: 'õ', A: 'Ã', N: 'Ñ', O: 'Õ' },
+};
+
+/**
+ * What a dead key followed by `char` types: the composed letter, or — like the
+ * OS does for combinations that don't exist — the accent followed by the character.
+ */
+function composeDead(accent, char) {
+  const table = COMPOSE[accent];
+  return (table && table[char]) || accent + char;
+}
+
+// ── Detection ──
+
+// XKB layout codes → ours ("de", "fr", "us(dvorak)", "se", …). Only layouts that
+// type exactly like one of our tables — UK, Swiss and Belgian move symbols around,
+// so they are left undetected rather than decoded wrong
+const XKB_LAYOUTS = { us: 'us', de: 'de', at: 'de', fr: 'fr', se: 'sv', fi: 'sv', no: 'no', dk: 'da' };
+
+function fromXkb(layout, variant) {
+  const first = (layout || '').split(',')[0].trim();
+  const firstVariant = (variant || '').split(',')[0].trim();
+  const inline = first.match(/^(\w+)\((\w+)\)$/); // "us(dvorak)"
+  const code = inline ? inline[1] : first;
+  if ((inline ? inline[2] : firstVariant).includes('dvorak')) return 'dvorak';
+  return XKB_LAYOUTS[code] || null;
+}
+
+// macOS input source names ("German", "French - numerical", "Dvorak", "Swedish - Pro" …)
+function fromMacName(name) {
+  const n = name.toLowerCase();
+  if (n.includes('dvorak')) return 'dvorak';
+  if (n.includes('swiss') || n.includes('belgian') || n.includes('canadian')) return null;
+  if (n.includes('german') || n.includes('austrian')) return 'de';
+  if (n.includes('french')) return 'fr';
+  if (n.includes('swedish') || n.includes('finnish')) return 'sv';
+  if (n.includes('norwegian')) return 'no';
+  if (n.includes('danish')) return 'da';
+  if (n === 'u.s.' || n === 'us' || n === 'abc') return 'us';
+  return null;
+}
+
+function run(bin, args) {
+  return new Promise((resolve) => {
+    execFile(bin, args, { timeout: 1000 }, (err, stdout) => resolve(err ? null : String(stdout)));
+  });
+}
+
+/**
+ * Detect the system keyboard layout. Resolves to a layout id or null; never rejects.
+ */
+async function detectLayout() {
+  if (process.platform === 'linux') {
+    const query = await run('setxkbmap', ['-query']);
+    if (query) {
+      const layout = (query.match(/^layout:\s*(\S+)/m) || [])[1];
+      const variant = (query.match(/^variant:\s*(\S+)/m) || [])[1];
+      const id = fromXkb(layout, variant);
+      if (id) return id;
+    }
+    const status = await run('localectl', ['status']);
+    if (status) {
+      const layout = (status.match(/X11 Layout:\s*(\S+)/) || [])[1];
+      const variant = (status.match(/X11 Variant:\s*(\S+)/) || [])[1];
+      return fromXkb(layout, variant);
+    }
+    return null;
+  }
+  if (process.platform === 'darwin') {
+    const out = await run('defaults', ['read', 'com.apple.HIToolbox', 'AppleSelectedInputSources']);
+    const name = out && (out.match(/"KeyboardLayout Name"\s*=\s*"?([^";\n]+)"?;/) || [])[1];
+    return name ? fromMacName(name.trim()) : null;
+  }
+  return null;
+}
+
+module.exports = { DEFAULT_LAYOUT, getLayout, listLayouts, composeDead, detectLayout };
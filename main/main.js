@@ -1,8 +1,25 @@
-const { app, BrowserWindow, ipcMain, Tray, Menu, nativeImage, clipboard, globalShortcut, nativeTheme, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, Tray, Menu, nativeImage, clipboard, globalShortcut, nativeTheme, dialog, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const db = require('./database');
-const { startKeyListener, stopKeyListener } = require('./keylistener');
+const placeholders = require('./placeholders');
+const richtext = require('./richtext');
+const images = require('./images');
+const layouts = require('./layouts');
+const triggers = require('./triggers');
+const sandbox = require('./sandbox');
+const {
+  startKeyListener,
+  stopKeyListener,
+  updateSnippets: updateListenerSnippets,
+  updateSettings: updateListenerSettings,
+  setHooks: setListenerHooks,
+  getSkippedExpansions,
+  getLastPaste,
+  insertSnippet,
+} = require('./keylistener');
+const { getActiveApp, watchActiveWindow } = require('./active-window');
+const { selectBackend: selectInjector, getBackendInfo: getInjectorInfo } = require('./injector');
 const {
   initAutoUpdater,
   checkForUpdates,
@@ -25,8 +42,18 @@ process.on('uncaughtException', (err) => {
 
 let mainWindow = null;
 let tray = null;
+let trayIcons = null; // { normal, paused }
 const isDev = !app.isPackaged;
 
+// Load the renderer into a window; `route` picks a secondary view ("prompt")
+function loadRenderer(win, route) {
+  if (isDev) {
+    win.loadURL(`http://localhost:5173${route ? `#${route}` : ''}`);
+  } else {
+    win.loadFile(path.join(__dirname, '..', 'renderer', 'dist', 'index.html'), route ? { hash: route } : undefined);
+  }
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 900,
@@ -45,11 +72,7 @@ function createWindow() {
     },
   });
 
-  if (isDev) {
-    mainWindow.loadURL('http://localhost:5173');
-  } else {
-    mainWindow.loadFile(path.join(__dirname, '..', 'renderer', 'dist', 'index.html'));
-  }
+  loadRenderer(mainWindow);
 
   mainWindow.once('ready-to-show', () => {
     mainWindow.show();
@@ -74,24 +97,513 @@ function createTray() {
     trayIcon = nativeImage.createEmpty();
   }
 
+  trayIcons = { normal: trayIcon, paused: dimTrayIcon(trayIcon) };
   tray = new Tray(trayIcon);
-  tray.setToolTip('SnapCut — Text Expander');
+  tray.on('click', () => mainWindow?.show());
+  updateTray();
+}
+
+// Faded copy of the tray icon, shown while expansion is paused
+function dimTrayIcon(icon) {
+  if (icon.isEmpty()) return icon;
+  const { width, height } = icon.getSize();
+  const bitmap = Buffer.from(icon.toBitmap());
+  for (let i = 0; i < bitmap.length; i++) bitmap[i] = Math.round(bitmap[i] * 0.35);
+  const dimmed = nativeImage.createFromBitmap(bitmap, { width, height });
+  dimmed.setTemplateImage(true);
+  return dimmed;
+}
+
+// Icon, tooltip and menu follow the pause state
+function updateTray() {
+  if (!tray) return;
+  const { paused, until } = getPauseState();
+  const resumeAt = until ? new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : null;
+  tray.setImage(paused ? trayIcons.paused : trayIcons.normal);
+  tray.setToolTip(paused ? `SnapCut — Paused${resumeAt ? ` until ${resumeAt}` : ''}` : 'SnapCut — Text Expander');
 
   const contextMenu = Menu.buildFromTemplate([
     { label: 'Open SnapCut', click: () => mainWindow?.show() },
     { type: 'separator' },
+    {
+      label: 'Pause SnapCut',
+      type: 'checkbox',
+      checked: paused,
+      accelerator: registeredHotkeys.pause || undefined,
+      registerAccelerator: false, // already a global shortcut
+      click: () => setPaused(paused ? 0 : null),
+    },
+    ...(resumeAt ? [{ label: `Resumes at ${resumeAt}`, enabled: false }] : []),
+    {
+      label: 'Pause For',
+      submenu: [
+        { label: '15 Minutes', click: () => setPaused(15) },
+        { label: '1 Hour', click: () => setPaused(60) },
+        { label: 'Until Resumed', click: () => setPaused(null) },
+      ],
+    },
+    { type: 'separator' },
+    { label: 'Wrong Text Pasted', click: () => reportWrongPaste() },
+    { type: 'separator' },
     { label: 'Quit', click: () => { app.isQuitting = true; app.quit(); } },
   ]);
   tray.setContextMenu(contextMenu);
-  tray.on('click', () => mainWindow?.show());
 }
 
+// ── Global hotkeys ──
+// Each is stored as an Electron accelerator in its setting; '' turns it off,
+// a missing row means the default.
+const HOTKEYS = {
+  pause: {
+    setting: 'pause_hotkey',
+    fallback: 'CommandOrControl+Alt+P',
+    action: () => setPaused(getPausedUntil() ? 0 : null),
+  },
+  launcher: {
+    setting: 'launcher_hotkey',
+    fallback: 'CommandOrControl+Shift+Space',
+    action: () => openLauncher(),
+  },
+};
+const registeredHotkeys = {}; // name → accelerator currently registered
+
+function getHotkey(name) {
+  const value = db.getSetting(HOTKEYS[name].setting);
+  return value === null ? HOTKEYS[name].fallback : value;
+}
+
+// Register one hotkey ('' disables it). Returns false if the OS refused it.
+function registerHotkey(name, accelerator) {
+  if (registeredHotkeys[name]) globalShortcut.unregister(registeredHotkeys[name]);
+  registeredHotkeys[name] = null;
+  if (!accelerator) return true;
+  let ok = false;
+  try {
+    ok = globalShortcut.register(accelerator, HOTKEYS[name].action);
+  } catch {
+    ok = false;
+  }
+  if (ok) registeredHotkeys[name] = accelerator;
+  else console.error(`[SnapCut] Could not register ${name} hotkey:`, accelerator);
+  return ok;
+}
+
+ipcMain.handle('hotkeys:get', (_e, name) => (HOTKEYS[name] ? getHotkey(name) : null));
+ipcMain.handle('hotkeys:set', (_e, name, accelerator) => {
+  if (!HOTKEYS[name]) return { error: 'Unknown hotkey' };
+  const previous = registeredHotkeys[name];
+  const next = (accelerator || '').trim();
+  if (!registerHotkey(name, next)) {
+    registerHotkey(name, previous);
+    return { error: `"${next}" is not available — try another combination` };
+  }
+  db.setSetting(HOTKEYS[name].setting, next);
+  updateTray();
+  return { success: true };
+});
+
+// ── Pause ──
+// `paused_until` setting: '' = running, 'indefinite', or the resume time (ms since epoch).
+// While paused the keyboard hook is stopped entirely — nothing is captured.
+let resumeTimer = null;
+
+function getPausedUntil() {
+  const value = db.getSetting('paused_until');
+  if (value === 'indefinite') return Infinity;
+  const until = Number(value);
+  return until > Date.now() ? until : 0;
+}
+
+function getPauseState() {
+  const until = getPausedUntil();
+  return {
+    paused: until > 0,
+    until: until && until !== Infinity ? until : null,
+    hotkey: getHotkey('pause'),
+  };
+}
+
+/**
+ * Pause for `minutes`, until resumed (null), or resume (0).
+ */
+function setPaused(minutes) {
+  let value = '';
+  if (minutes === null) value = 'indefinite';
+  else if (minutes > 0) value = String(Date.now() + minutes * 60 * 1000);
+  db.setSetting('paused_until', value);
+  applyPauseState();
+}
+
+// Start / stop the key listener to match the stored state
+function applyPauseState() {
+  if (resumeTimer) {
+    clearTimeout(resumeTimer);
+    resumeTimer = null;
+  }
+  const until = getPausedUntil();
+  if (until) {
+    stopKeyListener();
+    if (until !== Infinity) resumeTimer = setTimeout(() => setPaused(0), until - Date.now());
+    console.log('[SnapCut] Expansion paused', until === Infinity ? 'until resumed' : `until ${new Date(until).toLocaleTimeString()}`);
+  } else {
+    startKeyListener(db.getAllSnippets());
+  }
+  updateTray();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('pause:changed', getPauseState());
+  }
+}
+
+ipcMain.handle('pause:get', () => getPauseState());
+ipcMain.handle('pause:set', (_e, minutes) => {
+  setPaused(minutes);
+  return getPauseState();
+});
+
+// ── Quick-search launcher ──
+// Frameless search window opened by the launcher hotkey. Created once and hidden
+// between uses; it hides itself when it loses focus.
+let launcherWindow = null;
+let launcherHadFocus = false; // SnapCut itself was focused when the launcher opened
+
+function openLauncher() {
+  if (!launcherWindow || launcherWindow.isDestroyed()) {
+    launcherWindow = new BrowserWindow({
+      width: 560,
+      height: 380,
+      frame: false,
+      resizable: false,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      backgroundColor: nativeTheme.shouldUseDarkColors ? '#131219' : '#faf9f7',
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, 'preload.js'),
+        contextIsolation: true,
+        nodeIntegration: false,
+      },
+    });
+    launcherWindow.setAlwaysOnTop(true, 'floating');
+    launcherWindow.on('blur', () => launcherWindow && launcherWindow.hide());
+    launcherWindow.on('closed', () => { launcherWindow = null; });
+    loadRenderer(launcherWindow, 'launcher');
+    launcherWindow.once('ready-to-show', () => openLauncher());
+    return;
+  }
+
+  if (launcherWindow.isVisible()) {
+    launcherWindow.hide();
+    return;
+  }
+  launcherHadFocus = !!BrowserWindow.getFocusedWindow();
+  launcherWindow.center();
+  if (process.platform === 'darwin') app.focus({ steal: true });
+  launcherWindow.show();
+  launcherWindow.focus();
+  // Fresh query and snippet list every time it opens
+  launcherWindow.webContents.send('launcher:opened');
+}
+
+// Hide the launcher and give focus back to the app it was opened over
+function closeLauncher() {
+  if (!launcherWindow || !launcherWindow.isVisible()) return Promise.resolve();
+  launcherWindow.hide();
+  if (process.platform === 'darwin' && !launcherHadFocus) app.hide();
+  return new Promise((resolve) => setTimeout(resolve, FOCUS_SETTLE_MS));
+}
+
+ipcMain.handle('launcher:close', () => closeLauncher());
+ipcMain.handle('launcher:insert', async (_e, id) => {
+  const snippet = db.getAllSnippets().find((s) => s.id === id);
+  await closeLauncher();
+  if (!snippet) return { error: 'Snippet not found' };
+  if (!snippet.enabled) return { error: 'Snippet is disabled' };
+  // Same path as a typed shortcut: placeholders, fields, injector, incrementUsage
+  return insertSnippet(snippet) ? { success: true } : { error: 'Another expansion is still running' };
+});
+
+// ── Key listener settings ──
+// Settings are stored as strings; a missing row means "use the default"
+function getFlagSetting(key, fallback) {
+  const value = db.getSetting(key);
+  return value === null ? fallback : value === 'true';
+}
+
+// Seconds of typing pause before a half-typed shortcut is forgotten ('0' = never)
+const DEFAULT_IDLE_RESET_SECONDS = 10;
+
+function getIdleResetMs() {
+  const seconds = parseInt(db.getSetting('idle_reset_seconds'), 10);
+  return (Number.isNaN(seconds) ? DEFAULT_IDLE_RESET_SECONDS : Math.max(0, seconds)) * 1000;
+}
+
+// {shell:…} commands are killed after this many seconds
+const DEFAULT_SHELL_TIMEOUT_SECONDS = 2;
+
+function getShellTimeoutMs() {
+  const seconds = parseFloat(db.getSetting('shell_timeout_seconds'));
+  return (seconds > 0 ? seconds : DEFAULT_SHELL_TIMEOUT_SECONDS) * 1000;
+}
+
+// ── Clipboard restore delays ──
+// After a paste, the clipboard is restored once the target app has had time to read
+// it: 'restore_delay_ms' by default, or the app's entry in 'restore_delay_profiles'
+// (JSON, lowercased app name → ms). "Wrong text pasted" reports grow an app's delay.
+const DEFAULT_RESTORE_DELAY_MS = 800;
+const MIN_RESTORE_DELAY_MS = 100;
+const MAX_RESTORE_DELAY_MS = 5000;
+
+function clampDelay(ms) {
+  return Math.min(MAX_RESTORE_DELAY_MS, Math.max(MIN_RESTORE_DELAY_MS, Math.round(ms)));
+}
+
+function getRestoreDelays() {
+  const base = parseInt(db.getSetting('restore_delay_ms'), 10);
+  let profiles = {};
+  try {
+    profiles = JSON.parse(db.getSetting('restore_delay_profiles') || '{}');
+  } catch {}
+  return { baseMs: Number.isNaN(base) ? DEFAULT_RESTORE_DELAY_MS : clampDelay(base), profiles };
+}
+
+function saveRestoreDelays({ baseMs, profiles }) {
+  const clean = {};
+  for (const [name, ms] of Object.entries(profiles || {})) {
+    const key = name.trim().toLowerCase();
+    if (key && Number(ms) > 0) clean[key] = clampDelay(Number(ms));
+  }
+  if (baseMs !== undefined) db.setSetting('restore_delay_ms', clampDelay(Number(baseMs) || DEFAULT_RESTORE_DELAY_MS));
+  db.setSetting('restore_delay_profiles', JSON.stringify(clean));
+  updateListenerSettings(getListenerSettings());
+  return getRestoreDelays();
+}
+
+/**
+ * The last paste restored the clipboard too early (the app pasted the old contents):
+ * give that app half as long again — at least 250 ms more — from now on.
+ */
+function reportWrongPaste() {
+  const paste = getLastPaste();
+  let result;
+  if (!paste) result = { error: 'No paste expansion to report yet' };
+  else if (!paste.app) result = { error: "SnapCut couldn't tell which app the last paste went to — raise the base delay instead" };
+  else {
+    const { profiles } = getRestoreDelays();
+    const delayMs = clampDelay(Math.max(paste.delayMs * 1.5, paste.delayMs + 250));
+    saveRestoreDelays({ profiles: { ...profiles, [paste.app.toLowerCase()]: delayMs } });
+    result = { app: paste.app, delayMs };
+  }
+  if (Notification.isSupported()) {
+    new Notification({
+      title: 'SnapCut',
+      body: result.error || `Got it — SnapCut now waits ${result.delayMs} ms before restoring the clipboard in ${result.app}.`,
+      silent: true,
+    }).show();
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('restore:changed');
+  return result;
+}
+
+ipcMain.handle('restore:get', () => ({ ...getRestoreDelays(), lastPaste: getLastPaste() }));
+ipcMain.handle('restore:set', (_e, delays) => saveRestoreDelays(delays));
+ipcMain.handle('restore:reportWrong', () => reportWrongPaste());
+
+// ── Keyboard layout ──
+// 'keyboard_layout' is a layout id or 'auto' (default) — auto uses the system keymap,
+// detected at startup and whenever the layout picker asks
+let detectedLayout = null;
+
+function getKeyboardLayout() {
+  const chosen = db.getSetting('keyboard_layout');
+  if (chosen && chosen !== 'auto') return chosen;
+  return detectedLayout || layouts.DEFAULT_LAYOUT;
+}
+
+async function refreshDetectedLayout() {
+  const found = await layouts.detectLayout();
+  if (found !== detectedLayout) {
+    detectedLayout = found;
+    updateListenerSettings(getListenerSettings());
+  }
+  return detectedLayout;
+}
+
+ipcMain.handle('layouts:get', async () => ({
+  layouts: layouts.listLayouts(),
+  detected: await refreshDetectedLayout(),
+}));
+
+function getListenerSettings() {
+  return {
+    mode: db.getSetting('expansion_mode') === 'delimiter' ? 'delimiter' : 'instant',
+    triggers: {
+      space: getFlagSetting('trigger_space', true),
+      enter: getFlagSetting('trigger_enter', true),
+      tab: getFlagSetting('trigger_tab', true),
+    },
+    keepDelimiter: getFlagSetting('keep_delimiter', true),
+    strategy: db.getSetting('inject_strategy') === 'type' ? 'type' : 'paste',
+    wordStart: getFlagSetting('word_start', false),
+    undoBackspace: getFlagSetting('undo_backspace', true),
+    appRule: {
+      mode: db.getSetting('app_rule_mode') || 'any',
+      apps: db.getSetting('app_rule_apps') || '',
+    },
+    categoryRules: Object.fromEntries(
+      db.getCategories().map((c) => [c.name, { mode: c.app_rule_mode, apps: c.app_rule_apps }])
+    ),
+    layout: getKeyboardLayout(),
+    resetOnClick: getFlagSetting('reset_on_click', true),
+    resetOnFocus: getFlagSetting('reset_on_focus', true),
+    idleResetMs: getIdleResetMs(),
+    shell: {
+      enabled: getFlagSetting('shell_enabled', false),
+      timeoutMs: getShellTimeoutMs(),
+      cwd: db.getSetting('shell_cwd') || '',
+    },
+    restore: getRestoreDelays(),
+  };
+}
+
+// Expansions that fail after the shortcut was typed (e.g. a {shell:…} command) say why
+function notifyExpansionError(message) {
+  if (!Notification.isSupported()) return;
+  new Notification({ title: 'SnapCut — nothing inserted', body: message, silent: true }).show();
+}
+
+// Let focus return to the target app before injecting (after the prompt or launcher closes)
+const FOCUS_SETTLE_MS = 150;
+
+// ── Fill-in prompt ──
+// Small always-on-top window that collects {input:…} / {select:…} / {multiline:…}
+// values before a form snippet expands. One prompt at a time — the key listener
+// stays locked while it is open.
+let pendingPrompt = null; // { request, resolve, window }
+
+// Last-used value per field label, so repeated forms come pre-filled
+function getFormValues() {
+  try {
+    return JSON.parse(db.getSetting('form_values') || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function promptHeight(fields) {
+  const fieldsHeight = fields.reduce((sum, f) => sum + (f.type === 'multiline' ? 132 : 72), 0);
+  return Math.min(120 + fieldsHeight, 640);
+}
+
+function promptForFields(fields, snippet) {
+  if (pendingPrompt) return Promise.resolve(null);
+
+  // Typing into SnapCut's own window? Then don't hide the app afterwards
+  const hadFocus = !!BrowserWindow.getFocusedWindow();
+  const lastValues = getFormValues();
+  const values = {};
+  for (const f of fields) {
+    const last = lastValues[f.label];
+    if (f.type === 'select') values[f.label] = f.options.includes(last) ? last : (f.options[0] || '');
+    else values[f.label] = typeof last === 'string' ? last : '';
+  }
+
+  return new Promise((resolve) => {
+    const promptWindow = new BrowserWindow({
+      width: 420,
+      height: promptHeight(fields),
+      frame: false,
+      resizable: false,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      backgroundColor: nativeTheme.shouldUseDarkColors ? '#131219' : '#faf9f7',
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, 'preload.js'),
+        contextIsolation: true,
+        nodeIntegration: false,
+      },
+    });
+    pendingPrompt = { request: { title: snippet.title || snippet.shortcut, fields, values }, resolve, window: promptWindow };
+    promptWindow.setAlwaysOnTop(true, 'floating');
+    loadRenderer(promptWindow, 'prompt');
+
+    promptWindow.once('ready-to-show', () => {
+      if (process.platform === 'darwin') app.focus({ steal: true });
+      promptWindow.show();
+      promptWindow.focus();
+    });
+    // Closing the window any other way counts as cancel
+    promptWindow.on('closed', () => {
+      if (pendingPrompt && pendingPrompt.window === promptWindow) finishPrompt(null);
+    });
+  }).then((result) => new Promise((resolve) => {
+    // Hand focus back to the app the shortcut was typed in
+    if (process.platform === 'darwin' && !hadFocus) app.hide();
+    setTimeout(() => resolve(result), FOCUS_SETTLE_MS);
+  }));
+}
+
+function finishPrompt(values) {
+  if (!pendingPrompt) return;
+  const { request, resolve, window: promptWindow } = pendingPrompt;
+  pendingPrompt = null;
+
+  let result = null;
+  if (values) {
+    // Only keep the fields we asked for, as strings
+    result = {};
+    for (const f of request.fields) result[f.label] = String(values[f.label] ?? '');
+    db.setSetting('form_values', JSON.stringify({ ...getFormValues(), ...result }));
+  }
+
+  if (!promptWindow.isDestroyed()) promptWindow.close();
+  resolve(result);
+}
+
+ipcMain.handle('prompt:getRequest', () => (pendingPrompt ? pendingPrompt.request : null));
+ipcMain.handle('prompt:submit', (_e, values) => finishPrompt(values || {}));
+ipcMain.handle('prompt:cancel', () => finishPrompt(null));
+
 // ── IPC Handlers ──
 ipcMain.handle('snippets:getAll', () => db.getAllSnippets());
 ipcMain.handle('snippets:create', (_e, snippet) => db.createSnippet(snippet));
 ipcMain.handle('snippets:update', (_e, id, snippet) => db.updateSnippet(id, snippet));
 ipcMain.handle('snippets:delete', (_e, id) => db.deleteSnippet(id));
 ipcMain.handle('snippets:search', (_e, query) => db.searchSnippets(query));
+// Render a body the same way an expansion would (used by "Copy" and the rich-text preview)
+// → { text, html } — html is null for plain snippets
+function renderSnippetBody(body, format, ctx) {
+  const bodies = {};
+  for (const s of db.getAllSnippets()) bodies[s.shortcut.toLowerCase()] = s.body;
+  const resolved = placeholders.resolveSnippets(body, (shortcut) => bodies[shortcut.toLowerCase()] ?? null);
+  const rendered = placeholders.render(resolved, { ...ctx, escape: richtext.placeholderEscape(format) });
+  return richtext.toClipboard(placeholders.extractCursor(rendered).text, format);
+}
+
+ipcMain.handle('snippets:render', (_e, body, format) => renderSnippetBody(body, format));
+// Script snippets: run the body like an expansion would → { text } | { error }
+ipcMain.handle('scripts:run', (_e, body) => sandbox.runScript(body, { clipboardText: clipboard.readText() }));
+// Regex trigger editor: validate the pattern and try it on sample text
+// → { error } | { match: null } | { match, groups, text }
+ipcMain.handle('triggers:test', (_e, { pattern, caseSensitive, sample, body, format }) => {
+  const error = triggers.validateTrigger(pattern);
+  if (error) return { error };
+  if (!sample) return { match: null };
+  let match;
+  try {
+    match = triggers.matchTrigger(triggers.compileTrigger(pattern, caseSensitive), sample);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!match) return { match: null };
+  return { match: match.typed, groups: match.groups, text: renderSnippetBody(body || '', format, { groups: match.groups }).text };
+});
 ipcMain.handle('snippets:getCategories', () => db.getCategories());
 ipcMain.handle('categories:create', (_e, name, color) => db.createCategory(name, color));
 ipcMain.handle('categories:update', (_e, id, data) => db.updateCategory(id, data));
@@ -100,6 +612,37 @@ ipcMain.handle('categories:rename', (_e, id, newName) => db.renameCategory(id, n
 ipcMain.handle('stats:get', () => db.getStats());
 ipcMain.handle('settings:get', (_e, key) => db.getSetting(key));
 ipcMain.handle('settings:set', (_e, key, value) => db.setSetting(key, value));
+ipcMain.handle('injector:info', () => getInjectorInfo());
+ipcMain.handle('debug:skippedExpansions', () => getSkippedExpansions());
+
+// ── Image snippets ──
+// Both return { name, dataUrl } for the editor, or { error }
+function importSnippetImage(filePath) {
+  try {
+    const name = images.importImageFile(filePath);
+    return { name, dataUrl: images.imageDataUrl(name) };
+  } catch (err) {
+    return { error: err.message || 'Could not read image' };
+  }
+}
+
+ipcMain.handle('images:import', (_e, filePath) => importSnippetImage(filePath));
+ipcMain.handle('images:choose', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Image',
+    filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'gif', 'bmp', 'webp'] }],
+    properties: ['openFile'],
+  });
+  if (canceled || !filePaths.length) return { cancelled: true };
+  return importSnippetImage(filePaths[0]);
+});
+ipcMain.handle('images:get', (_e, name) => images.imageDataUrl(name));
+ipcMain.handle('images:copy', (_e, name) => {
+  const image = images.loadImage(name);
+  if (image.isEmpty()) return false;
+  clipboard.writeImage(image);
+  return true;
+});
 
 ipcMain.handle('data:export', async () => {
   const data = db.exportAllSnippets();
@@ -142,8 +685,12 @@ ipcMain.handle('theme:toggle', () => {
   return nativeTheme.shouldUseDarkColors ? 'dark' : 'light';
 });
 
-ipcMain.handle('clipboard:write', (_e, text) => {
-  clipboard.writeText(text);
+ipcMain.handle('clipboard:write', (_e, text, html) => {
+  if (html) {
+    clipboard.write({ text, html });
+  } else {
+    clipboard.writeText(text);
+  }
   return true;
 });
 
@@ -172,14 +719,36 @@ app.whenReady().then(() => {
     }
   };
 
+  // Pick the text injection backend for this platform (osascript / xdotool / ydotool)
+  selectInjector();
+
+  // Drop image files no snippet uses any more
+  db.pruneSnippetImages();
+
   // Start global key listener for snippet expansion
   const snippets = db.getAllSnippets();
+  updateListenerSettings(getListenerSettings());
+  setListenerHooks({
+    promptForFields,
+    getActiveApp,
+    notifyError: notifyExpansionError,
+    isLauncherOpen: () => !!launcherWindow && !launcherWindow.isDestroyed() && launcherWindow.isVisible(),
+    watchActiveWindow,
+  });
   startKeyListener(snippets, notifyExpansion);
+  refreshDetectedLayout();
+
+  // Restore a pause that outlived the last run, then hook up the global hotkeys
+  applyPauseState();
+  for (const name of Object.keys(HOTKEYS)) registerHotkey(name, getHotkey(name));
 
-  // Refresh snippet map when snippets change
+  // Refresh snippet map (and listener settings) when snippets or settings change
   ipcMain.on('snippets:changed', () => {
     const updated = db.getAllSnippets();
-    startKeyListener(updated);
+    updateListenerSettings(getListenerSettings());
+    // Don't restart a paused listener — just keep its snippet map current
+    if (getPausedUntil()) updateListenerSnippets(updated);
+    else startKeyListener(updated);
   });
 
   // ═══════════════════════════════════════════════════════════
@@ -247,5 +816,6 @@ app.on('window-all-closed', () => {
 
 app.on('before-quit', () => {
   app.isQuitting = true;
+  globalShortcut.unregisterAll();
   stopKeyListener();
 });
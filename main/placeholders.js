@@ -0,0 +1,373 @@
+/**
+ * SnapCut Placeholder Engine
+ * Renders dynamic placeholders in snippet bodies at expansion (and copy) time.
+ *
+ *   {date}                      2026-03-01
+ *   {time}                      14:05
+ *   {datetime:YYYY-MM-DD HH:mm} custom format
+ *   {date:+3d:ddd MMM D}        date math, then format (s m h d w M y, b = business days)
+ *   {date:next monday}          relative weekday
+ *
+ * Fill-in fields — values are collected by a prompt before expanding:
+ *   {input:Customer name}       single line
+ *   {select:Plan|Basic|Pro}     choice (first segment is the label)
+ *   {multiline:Notes}           multi-line text
+ *
+ * Shell commands — run by the key listener (trusted snippets only, see shell.js);
+ * render() just inserts the output it is given in `ctx.shell`:
+ *   {shell:git rev-parse --abbrev-ref HEAD}
+ *
+ * Nested snippets — inlined before anything else is rendered:
+ *   {snippet:sig}               another snippet's body, by shortcut
+ *
+ * Regex trigger captures — what the trigger's groups matched:
+ *   {$1}                        as typed
+ *   {$1:upper} {$1:lower}       re-cased
+ *   {$1:number}                 1234 → 1,234
+ *   {$1:currency:EUR}           1234 → €1,234.00 (ISO currency code, default USD)
+ *
+ * Pure functions with an injectable clock (`ctx.now`), field values
+ * (`ctx.values`, keyed by label) and captures (`ctx.groups`) — no Electron, no I/O.
+ * Unknown placeholders, {cursor}, and fields without a value are left untouched.
+ */
+
+const DEFAULT_FORMATS = {
+  date: 'YYYY-MM-DD',
+  time: 'HH:mm',
+  datetime: 'YYYY-MM-DD HH:mm',
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// {name} or {name:argument} — argument may itself contain colons ("HH:mm")
+const PLACEHOLDER_RE = /\{(\w+)(?::([^{}]*))?\}/g;
+
+// {snippet:shortcut} — resolved by resolveSnippets() before render()
+const SNIPPET_REF_RE = /\{snippet:([^{}]+)\}/g;
+const MAX_SNIPPET_DEPTH = 5;
+
+// {$1} or {$1:format} or {$1:currency:CODE}
+const CAPTURE_RE = /\{\$(\d+)(?::(\w+)(?::(\w+))?)?\}/g;
+
+// Where the caret lands after expansion (first occurrence wins, extras are dropped)
+const CURSOR_MARKER = '{cursor}';
+
+// ── Date math ──
+
+// "+3d", "-2w", "+1M-1d" … units: s m h d w M y, plus b = business days
+const OFFSET_RE = /^(?:[+-]\d+[smhdwMyb])+$/;
+const OFFSET_PART_RE = /([+-]\d+)([smhdwMyb])/g;
+// "today", "tomorrow", "next monday", "last fri" …
+const RELATIVE_RE = /^(today|tomorrow|yesterday|(next|last) ([a-z]+))$/i;
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  // Clamp Jan 31 + 1M to the last day of February, not March 3
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+}
+
+function addBusinessDays(date, days) {
+  const d = new Date(date);
+  const step = days < 0 ? -1 : 1;
+  let left = Math.abs(days);
+  while (left > 0) {
+    d.setDate(d.getDate() + step);
+    if (d.getDay() !== 0 && d.getDay() !== 6) left--;
+  }
+  return d;
+}
+
+function findWeekday(name) {
+  const n = name.toLowerCase();
+  if (n.length < 3) return -1;
+  return WEEKDAYS.findIndex((w) => w.toLowerCase().startsWith(n));
+}
+
+/**
+ * True if `text` is a date shift ("+3d", "next monday", "tomorrow").
+ */
+function isShift(text) {
+  const t = text.trim();
+  if (OFFSET_RE.test(t)) return true;
+  const m = t.match(RELATIVE_RE);
+  return !!m && (!m[3] || findWeekday(m[3]) !== -1);
+}
+
+/**
+ * Apply a date shift to `date`. Returns a new Date.
+ */
+function shiftDate(date, shift) {
+  const t = shift.trim();
+  let d = new Date(date);
+
+  if (OFFSET_RE.test(t)) {
+    for (const [, amountText, unit] of t.matchAll(OFFSET_PART_RE)) {
+      const amount = parseInt(amountText, 10);
+      switch (unit) {
+        case 's': d.setSeconds(d.getSeconds() + amount); break;
+        case 'm': d.setMinutes(d.getMinutes() + amount); break;
+        case 'h': d.setHours(d.getHours() + amount); break;
+        case 'd': d.setDate(d.getDate() + amount); break;
+        case 'w': d.setDate(d.getDate() + amount * 7); break;
+        case 'M': d = addMonths(d, amount); break;
+        case 'y': d = addMonths(d, amount * 12); break;
+        case 'b': d = addBusinessDays(d, amount); break;
+      }
+    }
+    return d;
+  }
+
+  const [, word, direction, dayName] = t.match(RELATIVE_RE);
+  const w = word.toLowerCase();
+  if (w === 'tomorrow') d.setDate(d.getDate() + 1);
+  else if (w === 'yesterday') d.setDate(d.getDate() - 1);
+  else if (direction) {
+    // "next monday" is always in the future, "last monday" always in the past
+    const target = findWeekday(dayName);
+    const diff = direction.toLowerCase() === 'next'
+      ? ((target - d.getDay() + 6) % 7) + 1
+      : -(((d.getDay() - target + 6) % 7) + 1);
+    d.setDate(d.getDate() + diff);
+  }
+  return d;
+}
+
+// ── Formatting ──
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// Longest tokens first; [text] is a literal
+const FORMAT_TOKEN_RE = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|Do|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|a/g;
+
+function ordinal(n) {
+  const rem100 = n % 100;
+  if (rem100 >= 11 && rem100 <= 13) return `${n}th`;
+  return n + (['th', 'st', 'nd', 'rd'][n % 10] || 'th');
+}
+
+/**
+ * Format a Date with moment-style tokens:
+ * YYYY YY · MMMM MMM MM M · Do DD D · dddd ddd · HH H hh h · mm · ss · A a · [literal]
+ */
+function formatDate(date, format) {
+  const hours12 = date.getHours() % 12 || 12;
+  return format.replace(FORMAT_TOKEN_RE, (token, literal) => {
+    if (literal !== undefined) return literal;
+    switch (token) {
+      case 'YYYY': return String(date.getFullYear());
+      case 'YY': return pad(date.getFullYear() % 100);
+      case 'MMMM': return MONTHS[date.getMonth()];
+      case 'MMM': return MONTHS[date.getMonth()].slice(0, 3);
+      case 'MM': return pad(date.getMonth() + 1);
+      case 'M': return String(date.getMonth() + 1);
+      case 'Do': return ordinal(date.getDate());
+      case 'DD': return pad(date.getDate());
+      case 'D': return String(date.getDate());
+      case 'dddd': return WEEKDAYS[date.getDay()];
+      case 'ddd': return WEEKDAYS[date.getDay()].slice(0, 3);
+      case 'HH': return pad(date.getHours());
+      case 'H': return String(date.getHours());
+      case 'hh': return pad(hours12);
+      case 'h': return String(hours12);
+      case 'mm': return pad(date.getMinutes());
+      case 'ss': return pad(date.getSeconds());
+      case 'A': return date.getHours() < 12 ? 'AM' : 'PM';
+      case 'a': return date.getHours() < 12 ? 'am' : 'pm';
+      default: return token;
+    }
+  });
+}
+
+/**
+ * Render a date placeholder argument: "[shift][:format]", either part optional.
+ * The first segment is a shift only if it parses as one — so "HH:mm" stays a format.
+ */
+function renderDate(kind, arg, now) {
+  let shift = null;
+  let format = arg || '';
+  const colon = format.indexOf(':');
+  const head = colon === -1 ? format : format.slice(0, colon);
+  if (head && isShift(head)) {
+    shift = head;
+    format = colon === -1 ? '' : format.slice(colon + 1);
+  }
+  const date = shift ? shiftDate(now, shift) : new Date(now);
+  return formatDate(date, format || DEFAULT_FORMATS[kind]);
+}
+
+// ── Fill-in fields ──
+
+const FIELD_TYPES = ['input', 'select', 'multiline'];
+
+/**
+ * Parse a field argument: "Label" or, for select, "Label|Option|Option".
+ */
+function parseField(type, arg) {
+  const [label, ...options] = (arg || '').split('|').map((part) => part.trim());
+  return { type, label: label || type, options: type === 'select' ? options.filter(Boolean) : [] };
+}
+
+/**
+ * List the fill-in fields in a body, once per label (a label used twice shares one value).
+ */
+function extractFields(body) {
+  const fields = [];
+  const seen = new Set();
+  for (const [, name, arg] of body.matchAll(PLACEHOLDER_RE)) {
+    if (!FIELD_TYPES.includes(name)) continue;
+    const field = parseField(name, arg);
+    if (seen.has(field.label)) continue;
+    seen.add(field.label);
+    fields.push(field);
+  }
+  return fields;
+}
+
+function renderField(type, arg, ctx) {
+  const { label } = parseField(type, arg);
+  const values = ctx.values || {};
+  return Object.prototype.hasOwnProperty.call(values, label) ? String(values[label]) : null;
+}
+
+const HANDLERS = {
+  date: (arg, ctx) => renderDate('date', arg, ctx.now),
+  time: (arg, ctx) => renderDate('time', arg, ctx.now),
+  datetime: (arg, ctx) => renderDate('datetime', arg, ctx.now),
+  input: (arg, ctx) => renderField('input', arg, ctx),
+  select: (arg, ctx) => renderField('select', arg, ctx),
+  multiline: (arg, ctx) => renderField('multiline', arg, ctx),
+  shell: (arg, ctx) => renderShell(arg, ctx),
+};
+
+// ── Shell commands ──
+
+/**
+ * List the distinct {shell:…} commands in a body (trimmed).
+ */
+function shellCommands(body) {
+  const commands = [];
+  for (const [, name, arg] of body.matchAll(PLACEHOLDER_RE)) {
+    const command = (arg || '').trim();
+    if (name === 'shell' && command && !commands.includes(command)) commands.push(command);
+  }
+  return commands;
+}
+
+function renderShell(arg, ctx) {
+  const command = (arg || '').trim();
+  if (!ctx.shell || !Object.prototype.hasOwnProperty.call(ctx.shell, command)) return null;
+  return ctx.shell[command];
+}
+
+// ── Nested snippets ──
+
+/**
+ * Inline {snippet:shortcut} references, recursively. `lookup(shortcut)` returns
+ * the referenced body or null. `trail` holds the (lowercased) shortcuts already
+ * being expanded — pass the outer snippet's own shortcut so it can't include itself.
+ * Missing, cyclic, and too-deep references are left as written.
+ */
+function resolveSnippets(body, lookup, trail = []) {
+  return body.replace(SNIPPET_REF_RE, (match, name) => {
+    const shortcut = name.trim();
+    const key = shortcut.toLowerCase();
+    if (trail.includes(key) || trail.length >= MAX_SNIPPET_DEPTH) return match;
+    const nested = lookup(shortcut);
+    if (nested === null || nested === undefined) return match;
+    return resolveSnippets(nested, lookup, [...trail, key]);
+  });
+}
+
+/**
+ * List the shortcuts a body references with {snippet:…}.
+ */
+function snippetRefs(body) {
+  return [...body.matchAll(SNIPPET_REF_RE)].map(([, name]) => name.trim());
+}
+
+// ── Regex captures ──
+
+function formatCapture(value, format, code) {
+  switch (format) {
+    case 'upper':
+      return value.toUpperCase();
+    case 'lower':
+      return value.toLowerCase();
+    case 'number':
+    case 'currency': {
+      const n = Number(value.replace(/,/g, ''));
+      if (!value || Number.isNaN(n)) return value;
+      try {
+        const options = format === 'currency' ? { style: 'currency', currency: (code || 'USD').toUpperCase() } : {};
+        return new Intl.NumberFormat('en-US', options).format(n);
+      } catch {
+        return value; // unknown currency code
+      }
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Fill {$n} tokens from regex capture groups (`groups[0]` is the whole match).
+ * Groups that didn't take part in the match insert nothing.
+ */
+function renderCaptures(text, groups, escape) {
+  return text.replace(CAPTURE_RE, (match, index, format, code) =>
+    escape(formatCapture(groups[Number(index)] || '', format, code))
+  );
+}
+
+/**
+ * Render every known placeholder in `body`.
+ * `ctx.now` (Date) pins the clock — defaults to the current time.
+ * `ctx.values` maps fill-in field labels to what the user entered.
+ * `ctx.groups` holds regex trigger captures — without it {$n} tokens stay as written.
+ * `ctx.shell` maps {shell:…} commands to their output — commands without one stay as written.
+ * `ctx.escape` (text → text) is applied to everything placeholders insert — HTML
+ * bodies escape it (see richtext.placeholderEscape).
+ */
+function render(body, ctx = {}) {
+  const context = { ...ctx, now: ctx.now || new Date() };
+  const escape = ctx.escape || ((text) => text);
+  const out = body.replace(PLACEHOLDER_RE, (match, name, arg) => {
+    const handler = HANDLERS[name];
+    const result = handler ? handler(arg, context) : null;
+    return result === null ? match : escape(result);
+  });
+  // Captures last, so typed text is never read as a placeholder
+  return ctx.groups ? renderCaptures(out, ctx.groups, escape) : out;
+}
+
+/**
+ * Pull the {cursor} marker out of a body.
+ * Returns { text, caretOffset } — caretOffset counts characters after the marker
+ * the way arrow keys do: one per code point, a CRLF line break as one.
+ */
+function extractCursor(body) {
+  const text = body.replace(/\r\n/g, '\n');
+  const at = text.indexOf(CURSOR_MARKER);
+  if (at === -1) return { text, caretOffset: 0 };
+  const clean = text.split(CURSOR_MARKER).join('');
+  return { text: clean, caretOffset: [...clean.slice(at)].length };
+}
+
+module.exports = {
+  render,
+  extractCursor,
+  extractFields,
+  shellCommands,
+  resolveSnippets,
+  snippetRefs,
+  formatDate,
+  shiftDate,
+  isShift,
+};
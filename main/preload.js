@@ -7,6 +7,9 @@ contextBridge.exposeInMainWorld('snapcut', {
   updateSnippet: (id, snippet) => ipcRenderer.invoke('snippets:update', id, snippet),
   deleteSnippet: (id) => ipcRenderer.invoke('snippets:delete', id),
   searchSnippets: (query) => ipcRenderer.invoke('snippets:search', query),
+  renderSnippet: (body, format) => ipcRenderer.invoke('snippets:render', body, format),
+  testTrigger: (options) => ipcRenderer.invoke('triggers:test', options),
+  runScript: (body) => ipcRenderer.invoke('scripts:run', body),
   getCategories: () => ipcRenderer.invoke('snippets:getCategories'),
   createCategory: (name, color) => ipcRenderer.invoke('categories:create', name, color),
   updateCategory: (id, data) => ipcRenderer.invoke('categories:update', id, data),
@@ -15,6 +18,38 @@ contextBridge.exposeInMainWorld('snapcut', {
   getStats: () => ipcRenderer.invoke('stats:get'),
   getSetting: (key) => ipcRenderer.invoke('settings:get', key),
   setSetting: (key, value) => ipcRenderer.invoke('settings:set', key, value),
+  getInjectorInfo: () => ipcRenderer.invoke('injector:info'),
+  getKeyboardLayouts: () => ipcRenderer.invoke('layouts:get'),
+  getSkippedExpansions: () => ipcRenderer.invoke('debug:skippedExpansions'),
+
+  // Global hotkeys ('pause', 'launcher')
+  getHotkey: (name) => ipcRenderer.invoke('hotkeys:get', name),
+  setHotkey: (name, accelerator) => ipcRenderer.invoke('hotkeys:set', name, accelerator),
+
+  // Pause / resume expansion
+  getPauseState: () => ipcRenderer.invoke('pause:get'),
+  setPaused: (minutes) => ipcRenderer.invoke('pause:set', minutes),
+  onPauseChanged: (callback) => {
+    const handler = (_event, state) => callback(state);
+    ipcRenderer.on('pause:changed', handler);
+    return () => ipcRenderer.removeListener('pause:changed', handler);
+  },
+
+  // Clipboard restore delays — base + per-app profiles, learned from wrong-paste reports
+  getRestoreDelays: () => ipcRenderer.invoke('restore:get'),
+  setRestoreDelays: (delays) => ipcRenderer.invoke('restore:set', delays),
+  reportWrongPaste: () => ipcRenderer.invoke('restore:reportWrong'),
+  onRestoreChanged: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('restore:changed', handler);
+    return () => ipcRenderer.removeListener('restore:changed', handler);
+  },
+
+  // Image snippets
+  importImage: (filePath) => ipcRenderer.invoke('images:import', filePath),
+  chooseImage: () => ipcRenderer.invoke('images:choose'),
+  getImage: (name) => ipcRenderer.invoke('images:get', name),
+  copyImage: (name) => ipcRenderer.invoke('images:copy', name),
 
   // Data management
   exportSnippets: () => ipcRenderer.invoke('data:export'),
@@ -26,7 +61,25 @@ contextBridge.exposeInMainWorld('snapcut', {
   notifySnippetsChanged: () => ipcRenderer.send('snippets:changed'),
 
   // Clipboard
-  copyToClipboard: (text) => ipcRenderer.invoke('clipboard:write', text),
+  copyToClipboard: (text, html) => ipcRenderer.invoke('clipboard:write', text, html),
+
+  // Quick-search launcher window
+  launcher: {
+    insert: (id) => ipcRenderer.invoke('launcher:insert', id),
+    close: () => ipcRenderer.invoke('launcher:close'),
+    onOpened: (callback) => {
+      const handler = () => callback();
+      ipcRenderer.on('launcher:opened', handler);
+      return () => ipcRenderer.removeListener('launcher:opened', handler);
+    },
+  },
+
+  // Fill-in prompt window
+  prompt: {
+    getRequest: () => ipcRenderer.invoke('prompt:getRequest'),
+    submit: (values) => ipcRenderer.invoke('prompt:submit', values),
+    cancel: () => ipcRenderer.invoke('prompt:cancel'),
+  },
 
   // Theme
   getTheme: () => ipcRenderer.invoke('theme:get'),
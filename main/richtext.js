@@ -0,0 +1,148 @@
+/**
+ * SnapCut Rich Text
+ * Turns rich snippet bodies into what goes on the clipboard: HTML for apps that
+ * understand formatting, plus a plain-text fallback for everything else.
+ *
+ * Snippet formats:
+ *   plain     body is inserted verbatim
+ *   html      body is HTML
+ *   markdown  small Markdown subset — # headings, - / 1. lists, > quotes,
+ *             **bold**, *italic*, ~~strike~~, `code`, [links](https://…)
+ *
+ * Pure string functions — no Electron, no I/O.
+ */
+
+const FORMATS = ['plain', 'html', 'markdown'];
+
+function isRich(format) {
+  return format === 'html' || format === 'markdown';
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ── Markdown → HTML ──
+
+function renderInline(text) {
+  // Code spans first so their contents aren't formatted
+  return escapeHtml(text)
+    .split(/(`[^`]+`)/)
+    .map((part) => {
+      if (/^`[^`]+`$/.test(part)) return `<code>${part.slice(1, -1)}</code>`;
+      return part
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (_m, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/\*([^*]+)\*|\b_([^_]+)_\b/g, (_m, a, b) => `<em>${a || b}</em>`)
+        .replace(/~~([^~]+)~~/g, '<s>$1</s>');
+    })
+    .join('');
+}
+
+/**
+ * Convert the supported Markdown subset to HTML.
+ */
+function markdownToHtml(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null; // { tag: 'ul' | 'ol', items: [] }
+  let quote = [];
+
+  const flush = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    if (list) blocks.push(`<${list.tag}>${list.items.map((i) => `<li>${renderInline(i)}</li>`).join('')}</${list.tag}>`);
+    if (quote.length) blocks.push(`<blockquote>${quote.map(renderInline).join('<br>')}</blockquote>`);
+    paragraph = [];
+    list = null;
+    quote = [];
+  };
+
+  for (const line of markdown.replace(/\r\n/g, '\n').split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const quoted = line.match(/^>\s?(.*)$/);
+
+    if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+    } else if (bullet || numbered) {
+      const tag = bullet ? 'ul' : 'ol';
+      if (!list || list.tag !== tag) {
+        flush();
+        list = { tag, items: [] };
+      }
+      list.items.push((bullet || numbered)[1]);
+    } else if (quoted) {
+      if (!quote.length) flush();
+      quote.push(quoted[1]);
+    } else {
+      if (list || quote.length) flush();
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks.join('\n');
+}
+
+// ── HTML → plain text ──
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Plain-text fallback for an HTML body: line breaks for block elements,
+ * "- " for list items, "text (url)" for links.
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/<a\s[^>]*href\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (_m, href, label) => {
+      const plainLabel = label.replace(/<[^>]+>/g, '');
+      return plainLabel && decodeEntities(plainLabel) !== href ? `${label} (${href})` : label || href;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|blockquote|ul|ol|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * How placeholder output (field values, shell output, regex captures) is escaped
+ * for a body of this format, or null: in an HTML body "AT&T <ops>" must stay text,
+ * not become a tag. Markdown needs nothing — it is escaped when converted.
+ */
+function placeholderEscape(format) {
+  return format === 'html' ? escapeHtml : null;
+}
+
+/**
+ * Clipboard payload for a rendered body: { text, html } — `html` is null for plain snippets.
+ */
+function toClipboard(body, format) {
+  if (!isRich(format)) return { text: body, html: null };
+  const html = format === 'markdown' ? markdownToHtml(body) : body;
+  return { text: htmlToText(html), html };
+}
+
+module.exports = { FORMATS, isRich, markdownToHtml, htmlToText, placeholderEscape, toClipboard };
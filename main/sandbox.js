@@ -0,0 +1,146 @@
+/**
+ * SnapCut Script Sandbox
+ * Script snippets (format 'script') hold JavaScript instead of text. The body runs
+ * as a function in its own `vm` context, and whatever it returns is inserted:
+ *
+ *   let days = 0;
+ *   for (const d = new Date(); d.getDate() !== 1 || days === 0; d.setDate(d.getDate() + 1)) {
+ *     if (d.getDay() % 6) days++;
+ *   }
+ *   return `${days} business days left in ${date('MMMM')}`;
+ *
+ * Scripts get the language built-ins (Date, Math, JSON, …) and this helper API —
+ * no require, no process, no timers, no eval:
+ *
+ *   date(format?, shift?)       date('ddd MMM D', '+3b') — same formats as {date:…}
+ *   random(min, max)            integer, both ends included
+ *   randomString(length, chars?) cryptographically random, letters + digits by default
+ *   uuid()                      random UUID v4
+ *   clipboard()                 the clipboard text from before the expansion
+ *   placeholder(token)          any other placeholder: placeholder('time:HH:mm:ss')
+ *   values                      fill-in field values — fields named as {input:…} in the script
+ *   groups                      regex trigger captures — groups[1] is {$1}
+ *
+ * Runs synchronously, in strict mode, with a hard time limit. Only strings cross
+ * between the sandbox and SnapCut (helpers talk to one host bridge through JSON)
+ * and the context's global object has no prototype, so no host object — and none
+ * of its prototypes — is reachable from a script. A typed shortcut only runs its
+ * script once the snippet is marked Trusted; imported snippets never are.
+ */
+
+const vm = require('vm');
+const crypto = require('crypto');
+const placeholders = require('./placeholders');
+
+const SCRIPT_TIMEOUT_MS = 1000;
+const DEFAULT_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_RANDOM_STRING = 4096;
+
+// Evaluated inside the context: builds the helper API around the host bridge, so
+// every function a script can touch belongs to the sandbox's own realm
+const PRELUDE = `(bridge, valuesJson, groupsJson) => {
+  const call = (name, args) => {
+    const reply = JSON.parse(bridge(name, JSON.stringify(args)));
+    if ('error' in reply) throw new Error(reply.error);
+    return reply.value;
+  };
+  Object.assign(globalThis, {
+    date: (format, shift) => call('date', [format, shift]),
+    random: (min, max) => call('random', [min, max]),
+    randomString: (length, chars) => call('randomString', [length, chars]),
+    uuid: () => call('uuid', []),
+    clipboard: () => call('clipboard', []),
+    placeholder: (token) => call('placeholder', [token]),
+    values: Object.freeze(JSON.parse(valuesJson)),
+    groups: Object.freeze(JSON.parse(groupsJson)),
+  });
+}`;
+
+function randomString(length, chars) {
+  const n = Math.floor(Number(length));
+  if (!(n > 0) || n > MAX_RANDOM_STRING) throw new Error(`randomString length must be 1–${MAX_RANDOM_STRING}`);
+  const alphabet = [...(chars ? String(chars) : DEFAULT_ALPHABET)];
+  if (!alphabet.length) throw new Error('randomString needs at least one character to pick from');
+  let out = '';
+  for (let i = 0; i < n; i++) out += alphabet[crypto.randomInt(alphabet.length)];
+  return out;
+}
+
+function random(min, max) {
+  const lo = Math.ceil(Number(min));
+  const hi = Math.floor(Number(max));
+  if (!Number.isSafeInteger(lo) || !Number.isSafeInteger(hi) || hi < lo) throw new Error('random(min, max) needs two integers, min ≤ max');
+  return crypto.randomInt(lo, hi + 1);
+}
+
+// Host side of the bridge: JSON in, JSON out — never throws into the sandbox
+function makeBridge(ctx) {
+  const renderCtx = { now: ctx.now, values: ctx.values, groups: ctx.groups };
+  const helpers = {
+    date: (format, shift) => placeholders.render(`{date:${[shift, format].filter(Boolean).join(':')}}`, renderCtx),
+    random,
+    randomString,
+    uuid: () => crypto.randomUUID(),
+    clipboard: () => ctx.clipboardText || '',
+    placeholder: (token) => placeholders.render(`{${String(token)}}`, renderCtx),
+  };
+  return (name, argsJson) => {
+    try {
+      const args = JSON.parse(argsJson);
+      return JSON.stringify({ value: helpers[name](...args) });
+    } catch (err) {
+      return JSON.stringify({ error: err.message });
+    }
+  };
+}
+
+// Runs the body inside the context and returns JSON — the result is turned into
+// a string there too, so a script's own toString() can't run outside the time limit.
+// Strict mode keeps `this` undefined inside the body.
+function wrap(body) {
+  return `'use strict';
+(() => {
+  try {
+    const result = (function () {
+${body}
+    }).call(undefined);
+    if (result && typeof result.then === 'function') throw new Error('Scripts must return a value, not a promise');
+    return JSON.stringify({ text: result === undefined || result === null ? '' : String(result) });
+  } catch (e) {
+    let message = 'Script error';
+    try { message = String(e && e.message !== undefined ? e.message : e); } catch {}
+    return JSON.stringify({ error: message });
+  }
+})()`;
+}
+
+/**
+ * Run a script snippet. `ctx` = { values, groups, clipboardText, now }.
+ * Returns { text } or { error } — never throws.
+ */
+function runScript(body, ctx = {}) {
+  try {
+    // A null-prototype global: a host `{}` would hand scripts the host Object
+    // through globalThis.constructor, and with it the host Function
+    const context = vm.createContext(Object.create(null), {
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: 'afterEvaluate',
+    });
+    vm.runInContext(PRELUDE, context)(
+      makeBridge({ ...ctx, now: ctx.now || new Date() }),
+      JSON.stringify(ctx.values || {}),
+      JSON.stringify(ctx.groups || [])
+    );
+    const script = new vm.Script(wrap(body), { filename: 'snippet.js' });
+    const out = script.runInContext(context, { timeout: SCRIPT_TIMEOUT_MS });
+    const result = typeof out === 'string' ? JSON.parse(out) : { error: 'Script error' };
+    return 'error' in result ? { error: result.error } : { text: result.text };
+  } catch (err) {
+    if (err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return { error: `Script ran longer than ${SCRIPT_TIMEOUT_MS / 1000}s` };
+    }
+    return { error: (err && err.message) || 'Script error' };
+  }
+}
+
+module.exports = { runScript };
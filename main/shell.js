@@ -0,0 +1,124 @@
+/**
+ * SnapCut Shell Placeholder
+ * Runs the commands of {shell:…} placeholders for trusted snippets and returns
+ * their trimmed stdout.
+ *
+ * Commands run through execFile, not a shell: the text is split into arguments
+ * (single / double quotes and backslash escapes are honored), so pipes, globs,
+ * redirects and $VARIABLES are passed through literally. Each command gets a
+ * hard timeout, a fixed working directory and a minimal environment.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Variables a command may see — everything else in SnapCut's environment stays out
+const ENV_KEYS = ['PATH', 'HOME', 'USER', 'LOGNAME', 'LANG', 'LC_ALL', 'TMPDIR', 'SystemRoot'];
+
+/**
+ * Split a command line into argv. Throws on an unterminated quote.
+ */
+function parseCommand(command) {
+  const args = [];
+  let current = '';
+  let inArg = false;
+  let quote = null;
+  for (let i = 0; i < command.length; i++) {
+    const c = command[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      else if (c === '\\' && quote === '"' && i + 1 < command.length) current += command[++i];
+      else current += c;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+      inArg = true;
+    } else if (c === '\\' && i + 1 < command.length) {
+      current += command[++i];
+      inArg = true;
+    } else if (/\s/.test(c)) {
+      if (inArg) args.push(current);
+      current = '';
+      inArg = false;
+    } else {
+      current += c;
+      inArg = true;
+    }
+  }
+  if (quote) throw new Error('Unterminated quote in command');
+  if (inArg) args.push(current);
+  return args;
+}
+
+function commandEnv() {
+  const env = {};
+  for (const key of ENV_KEYS) if (process.env[key] !== undefined) env[key] = process.env[key];
+  return env;
+}
+
+/**
+ * Run one command. Resolves to its trimmed stdout; rejects with a readable
+ * Error on a bad command, a non-zero exit or the timeout.
+ * `options` = { timeoutMs, cwd } — cwd defaults to the home directory.
+ */
+function runCommand(command, options = {}) {
+  return new Promise((resolve, reject) => {
+    let argv;
+    try {
+      argv = parseCommand(command.trim());
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    if (!argv.length) {
+      reject(new Error('Empty command'));
+      return;
+    }
+
+    // "~/code" means the home folder, as it would in a terminal
+    const cwd = (options.cwd || '~').replace(/^~(?=$|[\\/])/, os.homedir());
+    if (!fs.existsSync(cwd)) {
+      reject(new Error(`Working directory not found: ${cwd}`));
+      return;
+    }
+
+    const timeout = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    execFile(argv[0], argv.slice(1), {
+      cwd,
+      env: commandEnv(),
+      timeout,
+      killSignal: 'SIGKILL',
+      maxBuffer: MAX_OUTPUT_BYTES,
+      windowsHide: true,
+    }, (err, stdout, stderr) => {
+      if (!err) {
+        resolve(String(stdout).trim());
+        return;
+      }
+      if (err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') reject(new Error(`"${command}" printed too much output`));
+      else if (err.killed) reject(new Error(`"${command}" timed out after ${timeout / 1000}s`));
+      else if (err.code === 'ENOENT') reject(new Error(`"${argv[0]}" not found`));
+      else {
+        const detail = String(stderr).trim().split('\n')[0];
+        reject(new Error(`"${command}" failed${typeof err.code === 'number' ? ` (exit ${err.code})` : ''}${detail ? `: ${detail}` : ''}`));
+      }
+    });
+  });
+}
+
+/**
+ * Run commands one after another. Resolves to { command: output };
+ * rejects with the first failure, so nothing half-rendered gets inserted.
+ */
+async function runCommands(commands, options) {
+  const outputs = {};
+  for (const command of commands) {
+    outputs[command] = await runCommand(command, options);
+  }
+  return outputs;
+}
+
+module.exports = { parseCommand, runCommand, runCommands };
@@ -0,0 +1,77 @@
+/**
+ * SnapCut Regex Triggers
+ * A snippet whose trigger_type is 'regex' uses its shortcut as a pattern instead of
+ * literal text: `;tkt(\d+)` fires on ";tkt4521", and the body gets the captures as
+ * {$1}, {$2}… (see placeholders.js).
+ *
+ * Patterns are matched against the tail of the keystroke buffer — a match has to
+ * end at the last typed character. The buffer never holds whitespace (space, enter
+ * and tab end a word), so patterns can't span words.
+ *
+ * Patterns are user-written (or imported) and run on every keystroke, so matching
+ * has a time limit: a catastrophically backtracking pattern like `(a+)+b` is cut
+ * off instead of freezing the main process and the keyboard hook.
+ *
+ * No Electron, no I/O.
+ */
+
+const vm = require('vm');
+
+const MAX_PATTERN_LENGTH = 200;
+const MATCH_TIMEOUT_MS = 50;
+
+// Patterns are compiled and run in their own context — only a vm script can be
+// given a timeout, and it interrupts a running regex
+const context = vm.createContext(Object.create(null));
+const newRegExp = vm.runInContext('(source, flags) => new RegExp(source, flags)', context);
+const execScript = new vm.Script('re.exec(text)', { filename: 'trigger.js' });
+
+/**
+ * Compile a trigger pattern, anchored to the end of the buffer. Throws on bad syntax.
+ */
+function compileTrigger(pattern, caseSensitive) {
+  return newRegExp(`(?:${pattern})$`, caseSensitive ? 'u' : 'iu');
+}
+
+/**
+ * Why a pattern can't be used as a trigger, or null if it can.
+ */
+function validateTrigger(pattern) {
+  if (!pattern || !pattern.trim()) return 'Enter a pattern';
+  if (pattern.length > MAX_PATTERN_LENGTH) return `Keep the pattern under ${MAX_PATTERN_LENGTH} characters`;
+  let re;
+  try {
+    re = compileTrigger(pattern, true);
+  } catch (err) {
+    // "Invalid regular expression: /(?:…)$/u: Unterminated group" → "Unterminated group"
+    return err.message.replace(/^Invalid regular expression: \/.*\/\w*: /, '');
+  }
+  if (re.test('')) return 'The pattern matches empty text, so it would fire on every key';
+  return null;
+}
+
+/**
+ * Match a compiled trigger against typed text.
+ * Returns { matchLen, typed, groups } — groups[0] is the whole match — or null.
+ * Throws if the pattern takes longer than the time limit.
+ */
+function matchTrigger(re, text) {
+  let m;
+  context.re = re;
+  context.text = text;
+  try {
+    m = execScript.runInContext(context, { timeout: MATCH_TIMEOUT_MS });
+  } catch (err) {
+    if (err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error('The pattern takes too long to match — avoid nested repeats like (a+)+');
+    }
+    throw err;
+  } finally {
+    context.re = null;
+    context.text = null;
+  }
+  if (!m || !m[0]) return null;
+  return { matchLen: m[0].length, typed: m[0], groups: Array.from(m, (g) => g || '') };
+}
+
+module.exports = { compileTrigger, validateTrigger, matchTrigger };
@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import Dashboard from './Dashboard';
-import Settings from './Settings';
+import Settings, { Toggle } from './Settings';
+import AppRuleFields from './AppRuleFields';
 import CategoryModal, { getCategoryIcon } from './CategoryModal';
 import UpdateToast from './UpdateToast';
 import {
@@ -23,6 +24,19 @@ import {
   Check,
   Pencil,
   User,
+  TextCursorInput,
+  FormInput,
+  CalendarClock,
+  AlertTriangle,
+  Bold,
+  Italic,
+  Link,
+  List,
+  Eye,
+  Image as ImageIcon,
+  Regex,
+  Play,
+  PowerOff,
 } from 'lucide-react';
 
 function getCategoryClass(cat) {
@@ -39,6 +53,7 @@ export default function App() {
   const [snippets, setSnippets] = useState([]);
   const [categories, setCategories] = useState([]); // [{id, name, color}]
   const [activeCategory, setActiveCategory] = useState('All');
+  const [showDisabled, setShowDisabled] = useState(false); // "Disabled" sidebar filter
   const [selectedId, setSelectedId] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [editForm, setEditForm] = useState(null);
@@ -49,8 +64,16 @@ export default function App() {
   const [newCategoryName, setNewCategoryName] = useState('');
   const [editingCategory, setEditingCategory] = useState(null); // null | category obj | 'new'
   const [profile, setProfile] = useState({ firstName: '', lastName: '', email: '', photo: '' });
+  const [showPreview, setShowPreview] = useState(false);
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [imagePreview, setImagePreview] = useState(null); // data URL of the image snippet's picture
+  const [imageDragOver, setImageDragOver] = useState(false);
+  const [scriptResult, setScriptResult] = useState(null); // { text } | { error } from the last Run
+  const [triggerSample, setTriggerSample] = useState(''); // regex trigger test box
+  const [triggerTest, setTriggerTest] = useState(null); // { error } | { match, groups, text }
   const toastTimer = useRef(null);
   const newCatInputRef = useRef(null);
+  const bodyRef = useRef(null);
 
   // ── Initialize ──
   useEffect(() => {
@@ -77,6 +100,60 @@ export default function App() {
     document.documentElement.setAttribute('data-theme', theme);
   }, [theme]);
 
+  // ── Rich-text preview (rendered like an expansion) ──
+  const isRichFormat = editForm?.format === 'html' || editForm?.format === 'markdown';
+  useEffect(() => {
+    if (!showPreview || !isRichFormat || !window.snapcut) return;
+    let cancelled = false;
+    window.snapcut.renderSnippet(editForm.body, editForm.format).then((out) => {
+      if (!cancelled) setPreviewHtml(out.html || '');
+    });
+    return () => { cancelled = true; };
+  }, [showPreview, isRichFormat, editForm?.body, editForm?.format]);
+
+  // ── Does the body run shell commands? (offers the Trusted toggle) ──
+  const usesShell = /\{shell:[^{}]*\}/.test(editForm?.body || '');
+
+  // ── Run a script snippet from the editor ──
+  const isScript = editForm?.format === 'script';
+  const handleRunScript = async () => {
+    if (!editForm || !window.snapcut) return;
+    setScriptResult(await window.snapcut.runScript(editForm.body));
+  };
+
+  // ── Regex trigger validation + test box ──
+  const isRegex = editForm?.trigger_type === 'regex';
+  useEffect(() => {
+    if (!isRegex || !window.snapcut) {
+      setTriggerTest(null);
+      return;
+    }
+    let cancelled = false;
+    window.snapcut.testTrigger({
+      pattern: editForm.shortcut,
+      caseSensitive: !!editForm.case_sensitive,
+      sample: triggerSample,
+      body: editForm.format === 'image' ? '' : editForm.body,
+      format: editForm.format,
+    }).then((out) => {
+      if (!cancelled) setTriggerTest(out);
+    });
+    return () => { cancelled = true; };
+  }, [isRegex, editForm?.shortcut, editForm?.case_sensitive, editForm?.body, editForm?.format, triggerSample]);
+
+  // ── Image snippet preview ──
+  useEffect(() => {
+    if (!editForm?.image_path || !window.snapcut) {
+      setImagePreview(null);
+      return;
+    }
+    let cancelled = false;
+    window.snapcut.getImage(editForm.image_path).then((url) => {
+      if (!cancelled) setImagePreview(url);
+    });
+    return () => { cancelled = true; };
+  }, [editForm?.image_path]);
+
   useEffect(() => {
     if (showNewCategory && newCatInputRef.current) {
       newCatInputRef.current.focus();
@@ -102,7 +179,7 @@ export default function App() {
 
   // ── Filtered snippets ──
   const filteredSnippets = snippets.filter((s) => {
-    const matchCategory = activeCategory === 'All' || s.category === activeCategory;
+    const matchCategory = showDisabled ? !s.enabled : activeCategory === 'All' || s.category === activeCategory;
     const matchSearch =
       !searchQuery ||
       s.shortcut.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -111,11 +188,20 @@ export default function App() {
     return matchCategory && matchSearch;
   });
 
+  // ── Nested snippet references ({snippet:sig}) that point nowhere ──
+  const brokenRefs = editForm
+    ? [...new Set([...(editForm.body || '').matchAll(/\{snippet:([^{}]+)\}/g)].map((m) => m[1].trim()))].filter(
+      (ref) => !snippets.some((s) => s.id !== editForm.id && s.shortcut.toLowerCase() === ref.toLowerCase())
+    )
+    : [];
+
   // ── Select snippet ──
   const selectSnippet = (snippet) => {
     setSelectedId(snippet.id);
     setEditForm({ ...snippet });
     setIsNew(false);
+    setTriggerSample('');
+    setScriptResult(null);
   };
 
   // ── New snippet ──
@@ -123,21 +209,42 @@ export default function App() {
     setSelectedId(null);
     setIsNew(true);
     setCurrentView('snippets');
+    setTriggerSample('');
+    setScriptResult(null);
     setEditForm({
       shortcut: '',
       title: '',
       body: '',
       category: activeCategory === 'All' ? (categoryNames[0] || 'General') : activeCategory,
+      inject_mode: null,
+      case_sensitive: 0,
+      adapt_case: 0,
+      word_start: null,
+      format: 'plain',
+      app_rule_mode: null,
+      app_rule_apps: '',
+      trigger_type: 'literal',
+      trusted: 0,
+      enabled: 1,
     });
   };
 
   // ── Save ──
   const handleSave = async () => {
     if (!editForm || !window.snapcut) return;
-    if (!editForm.shortcut.trim() || !editForm.title.trim() || !editForm.body.trim()) {
+    const isImage = editForm.format === 'image';
+    if (!editForm.shortcut.trim() || !editForm.title.trim() || (!isImage && !editForm.body.trim())) {
       showToast('Please fill in all fields');
       return;
     }
+    if (isImage && !editForm.image_path) {
+      showToast('Please add an image');
+      return;
+    }
+    if (isRegex && triggerTest?.error) {
+      showToast('Fix the trigger pattern first');
+      return;
+    }
 
     try {
       if (isNew) {
@@ -156,6 +263,17 @@ export default function App() {
     }
   };
 
+  // ── Enable / disable from the list (keeps any unsaved edits of the open snippet) ──
+  const toggleEnabled = async (snippet) => {
+    if (!window.snapcut) return;
+    const enabled = snippet.enabled ? 0 : 1;
+    await window.snapcut.updateSnippet(snippet.id, { ...snippet, enabled });
+    window.snapcut.notifySnippetsChanged();
+    if (snippet.id === selectedId && editForm) setEditForm({ ...editForm, enabled });
+    await loadData();
+    showToast(enabled ? 'Snippet enabled' : 'Snippet disabled');
+  };
+
   // ── Delete ──
   const handleDelete = async () => {
     if (!selectedId || !window.snapcut) return;
@@ -168,11 +286,102 @@ export default function App() {
     await loadData();
   };
 
-  // ── Copy body to clipboard ──
+  // ── Insert a token (e.g. {cursor}) at the caret in the body textarea ──
+  const insertIntoBody = (token) => {
+    const el = bodyRef.current;
+    if (!el || !editForm) return;
+    const start = el.selectionStart ?? editForm.body.length;
+    const end = el.selectionEnd ?? start;
+    const body = editForm.body.slice(0, start) + token + editForm.body.slice(end);
+    setEditForm({ ...editForm, body });
+    // Put the caret right after the inserted token once React re-renders
+    requestAnimationFrame(() => {
+      el.focus();
+      el.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  // ── Wrap the body selection in formatting markup (rich snippets) ──
+  const wrapSelection = (kind) => {
+    const el = bodyRef.current;
+    if (!el || !editForm) return;
+    const start = el.selectionStart ?? editForm.body.length;
+    const end = el.selectionEnd ?? start;
+    const selected = editForm.body.slice(start, end);
+    const md = editForm.format === 'markdown';
+    let replacement;
+    switch (kind) {
+      case 'bold':
+        replacement = md ? `**${selected || 'bold'}**` : `<b>${selected || 'bold'}</b>`;
+        break;
+      case 'italic':
+        replacement = md ? `*${selected || 'italic'}*` : `<i>${selected || 'italic'}</i>`;
+        break;
+      case 'link':
+        replacement = md ? `[${selected || 'link'}](https://)` : `<a href="https://">${selected || 'link'}</a>`;
+        break;
+      default: {
+        const items = (selected || 'Item').split('\n');
+        replacement = md
+          ? items.map((line) => `- ${line}`).join('\n')
+          : `<ul>\n${items.map((line) => `  <li>${line}</li>`).join('\n')}\n</ul>`;
+      }
+    }
+    const body = editForm.body.slice(0, start) + replacement + editForm.body.slice(end);
+    setEditForm({ ...editForm, body });
+    requestAnimationFrame(() => {
+      el.focus();
+      el.setSelectionRange(start, start + replacement.length);
+    });
+  };
+
+  // ── Image snippets: store a dropped / chosen picture ──
+  const applyImage = (result) => {
+    if (!result || result.cancelled) return;
+    if (result.error) {
+      showToast('Error: ' + result.error);
+      return;
+    }
+    setEditForm((form) => ({ ...form, image_path: result.name }));
+    setImagePreview(result.dataUrl);
+  };
+
+  const handleImageDrop = async (e) => {
+    e.preventDefault();
+    setImageDragOver(false);
+    const file = e.dataTransfer.files[0];
+    if (!file || !window.snapcut) return;
+    // Electron exposes the dropped file's path on the File object
+    applyImage(await window.snapcut.importImage(file.path));
+  };
+
+  const handleChooseImage = async () => {
+    if (!window.snapcut) return;
+    applyImage(await window.snapcut.chooseImage());
+  };
+
+  // ── Copy body to clipboard (placeholders rendered, like an expansion) ──
   const handleCopy = async () => {
+    if (editForm?.format === 'image') {
+      if (!editForm.image_path || !window.snapcut) return;
+      await window.snapcut.copyImage(editForm.image_path);
+      showToast('Copied to clipboard!');
+      return;
+    }
     if (!editForm?.body) return;
-    if (window.snapcut) {
-      await window.snapcut.copyToClipboard(editForm.body);
+    if (editForm.format === 'script') {
+      // Copy what the script returns, not its code
+      if (!window.snapcut) return;
+      const result = await window.snapcut.runScript(editForm.body);
+      setScriptResult(result);
+      if (result.error) {
+        showToast('Script failed — nothing copied');
+        return;
+      }
+      await window.snapcut.copyToClipboard(result.text, null);
+    } else if (window.snapcut) {
+      const { text, html } = await window.snapcut.renderSnippet(editForm.body, editForm.format);
+      await window.snapcut.copyToClipboard(text, html);
     } else {
       await navigator.clipboard.writeText(editForm.body);
     }
@@ -207,7 +416,7 @@ export default function App() {
   };
 
   // ── Save category from modal (create or update) ──
-  const handleSaveCategory = async ({ name, color, icon }) => {
+  const handleSaveCategory = async ({ name, color, icon, app_rule_mode, app_rule_apps }) => {
     if (!window.snapcut) return;
     if (editingCategory === 'new') {
       if (categoryNames.includes(name)) {
@@ -219,11 +428,11 @@ export default function App() {
       const cats = await window.snapcut.getCategories();
       const created = cats.find((c) => c.name === name);
       if (created) {
-        await window.snapcut.updateCategory(created.id, { name, color, icon });
+        await window.snapcut.updateCategory(created.id, { name, color, icon, app_rule_mode, app_rule_apps });
       }
       showToast(`Category "${name}" created`);
     } else {
-      const result = await window.snapcut.updateCategory(editingCategory.id, { name, color, icon });
+      const result = await window.snapcut.updateCategory(editingCategory.id, { name, color, icon, app_rule_mode, app_rule_apps });
       if (result?.error) {
         showToast(result.error);
         return;
@@ -235,6 +444,7 @@ export default function App() {
       showToast('Category updated');
     }
     setEditingCategory(null);
+    window.snapcut.notifySnippetsChanged(); // category app rules live in the key listener
     await loadData();
   };
 
@@ -288,13 +498,21 @@ export default function App() {
               <span>Dashboard</span>
             </button>
             <button
-              className={`nav-item ${currentView === 'snippets' && activeCategory === 'All' ? 'active' : ''}`}
-              onClick={() => { setActiveCategory('All'); setCurrentView('snippets'); setSearchQuery(''); }}
+              className={`nav-item ${currentView === 'snippets' && activeCategory === 'All' && !showDisabled ? 'active' : ''}`}
+              onClick={() => { setActiveCategory('All'); setShowDisabled(false); setCurrentView('snippets'); setSearchQuery(''); }}
             >
               <Clipboard />
               <span>All Snippets</span>
               <span className="nav-item-count">{snippets.length}</span>
             </button>
+            <button
+              className={`nav-item ${currentView === 'snippets' && showDisabled ? 'active' : ''}`}
+              onClick={() => { setActiveCategory('All'); setShowDisabled(true); setCurrentView('snippets'); setSearchQuery(''); }}
+            >
+              <PowerOff />
+              <span>Disabled</span>
+              <span className="nav-item-count">{snippets.filter((s) => !s.enabled).length}</span>
+            </button>
 
             <div className="nav-section-title" style={{ marginTop: '8px', display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
               <span>Categories</span>
@@ -312,9 +530,10 @@ export default function App() {
               return (
                 <div key={cat.id} className="nav-item-wrap">
                   <button
-                    className={`nav-item ${currentView === 'snippets' && activeCategory === cat.name ? 'active' : ''}`}
+                    className={`nav-item ${currentView === 'snippets' && !showDisabled && activeCategory === cat.name ? 'active' : ''}`}
                     onClick={() => {
                       setActiveCategory(cat.name);
+                      setShowDisabled(false);
                       setSearchQuery('');
                       setCurrentView('snippets');
                     }}
@@ -402,7 +621,7 @@ export default function App() {
               <div className="main-header">
                 <div>
                   <h2>
-                    {activeCategory}
+                    {showDisabled ? 'Disabled' : activeCategory}
                     <span className="main-header-count">
                       {filteredSnippets.length} snippet{filteredSnippets.length !== 1 ? 's' : ''}
                     </span>
@@ -417,13 +636,13 @@ export default function App() {
                 {filteredSnippets.length === 0 ? (
                   <div className="detail-empty" style={{ padding: '40px 0' }}>
                     <Clipboard />
-                    <p>{searchQuery ? 'No matches found' : 'No snippets yet'}</p>
+                    <p>{searchQuery ? 'No matches found' : showDisabled ? 'No disabled snippets' : 'No snippets yet'}</p>
                   </div>
                 ) : (
                   filteredSnippets.map((s) => (
                     <div
                       key={s.id}
-                      className={`snippet-card ${selectedId === s.id ? 'active' : ''}`}
+                      className={`snippet-card ${selectedId === s.id ? 'active' : ''} ${s.enabled ? '' : 'disabled'}`}
                       onClick={() => selectSnippet(s)}
                     >
                       {(() => {
@@ -443,10 +662,19 @@ export default function App() {
                         <div className="snippet-info-title">{s.title}</div>
                         <div className="snippet-info-shortcut">{s.shortcut}</div>
                         <div className="snippet-info-preview">
-                          {s.body.substring(0, 80).replace(/\n/g, ' ')}
+                          {s.format === 'image' && !s.body
+                            ? 'Image'
+                            : s.body.substring(0, 80).replace(/\n/g, ' ')}
                         </div>
                       </div>
                       <div className="snippet-meta">
+                        <span
+                          className="snippet-meta-toggle"
+                          onClick={(e) => e.stopPropagation()}
+                          title={s.enabled ? 'Disable snippet' : 'Enable snippet'}
+                        >
+                          <Toggle checked={!!s.enabled} onChange={() => toggleEnabled(s)} />
+                        </span>
                         {s.usage_count > 0 && (
                           <span className="snippet-meta-uses">{s.usage_count}×</span>
                         )}
@@ -464,11 +692,21 @@ export default function App() {
                   <div className="detail-form">
                     <div className="detail-form-row">
                       <div className="form-group">
-                        <label className="form-label">Shortcut</label>
+                        <div className="form-label-row">
+                          <label className="form-label">{isRegex ? 'Trigger Pattern' : 'Shortcut'}</label>
+                          <button
+                            className={`body-toolbar-btn ${isRegex ? 'active' : ''}`}
+                            onClick={() => setEditForm({ ...editForm, trigger_type: isRegex ? 'literal' : 'regex' })}
+                            title="Use a regular expression as the trigger"
+                          >
+                            <Regex size={13} />
+                            <span>Regex</span>
+                          </button>
+                        </div>
                         <input
                           className="form-input mono"
                           type="text"
-                          placeholder="e.g. sig1, ty1, dev15"
+                          placeholder={isRegex ? 'e.g. ;tkt(\\d+)/' : 'e.g. sig1, ty1, dev15'}
                           value={editForm.shortcut}
                           onChange={(e) =>
                             setEditForm({ ...editForm, shortcut: e.target.value })
@@ -493,35 +731,319 @@ export default function App() {
                       </div>
                     </div>
 
+                    {isRegex && (
+                      <div className="form-group">
+                        <label className="form-label">Test Trigger</label>
+                        <input
+                          className="form-input mono"
+                          type="text"
+                          placeholder="Type something to try the pattern, e.g. ;tkt4521/"
+                          value={triggerSample}
+                          onChange={(e) => setTriggerSample(e.target.value)}
+                        />
+                        {triggerTest?.error ? (
+                          <div className="form-warning">
+                            <AlertTriangle size={13} />
+                            <span>{triggerTest.error}</span>
+                          </div>
+                        ) : triggerTest?.match ? (
+                          <div className="trigger-test-result">
+                            <span className="form-hint">
+                              Matches <code>{triggerTest.match}</code>
+                              {triggerTest.groups.slice(1).map((g, i) => (
+                                <span key={i}> · <code>{`{$${i + 1}}`}</code> = <code>{g}</code></span>
+                              ))}
+                            </span>
+                            {triggerTest.text && <pre className="trigger-test-output">{triggerTest.text}</pre>}
+                          </div>
+                        ) : (
+                          <span className="form-hint">
+                            {triggerSample
+                              ? 'No match — the text has to end with the pattern'
+                              : 'Use {$1}, {$2}… in the text for the captured groups, e.g. {$1:currency:USD}. In instant mode the trigger fires at the first match, so end the pattern with a fixed character.'}
+                          </span>
+                        )}
+                      </div>
+                    )}
+
+                    <div className="detail-form-row">
+                      <div className="form-group">
+                        <label className="form-label">Title</label>
+                        <input
+                          className="form-input"
+                          type="text"
+                          placeholder="Descriptive title..."
+                          value={editForm.title}
+                          onChange={(e) =>
+                            setEditForm({ ...editForm, title: e.target.value })
+                          }
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Format</label>
+                        <select
+                          className="form-select"
+                          value={editForm.format || 'plain'}
+                          onChange={(e) => setEditForm({ ...editForm, format: e.target.value })}
+                        >
+                          <option value="plain">Plain text</option>
+                          <option value="html">HTML</option>
+                          <option value="markdown">Markdown</option>
+                          <option value="image">Image</option>
+                          <option value="script">Script (JavaScript)</option>
+                        </select>
+                      </div>
+                    </div>
+
+                    <div className="detail-form-row">
+                      <div className="form-group">
+                        <label className="form-label">Insert By</label>
+                        <select
+                          className="form-select"
+                          value={editForm.inject_mode || ''}
+                          onChange={(e) =>
+                            setEditForm({ ...editForm, inject_mode: e.target.value || null })
+                          }
+                        >
+                          <option value="">Default (from Settings)</option>
+                          <option value="paste">Clipboard paste</option>
+                          <option value="type">Simulated typing</option>
+                        </select>
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Word Start Only</label>
+                        <select
+                          className="form-select"
+                          value={editForm.word_start === null || editForm.word_start === undefined ? '' : String(editForm.word_start)}
+                          onChange={(e) =>
+                            setEditForm({ ...editForm, word_start: e.target.value === '' ? null : Number(e.target.value) })
+                          }
+                        >
+                          <option value="">Default (from Settings)</option>
+                          <option value="1">Only at the start of a word</option>
+                          <option value="0">Anywhere, even inside words</option>
+                        </select>
+                      </div>
+                    </div>
+
+                    <div className="detail-form-row">
+                      <div className="form-group">
+                        <label className="form-label">Match Case</label>
+                        <div className="form-toggle-row">
+                          <Toggle
+                            checked={!!editForm.case_sensitive}
+                            onChange={(v) =>
+                              // Exact-case shortcuts have nothing to adapt to
+                              setEditForm({ ...editForm, case_sensitive: v ? 1 : 0, adapt_case: v ? 0 : editForm.adapt_case })
+                            }
+                          />
+                          <span className="form-hint">Only expand when typed with this exact case</span>
+                        </div>
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Adapt Case</label>
+                        <div className="form-toggle-row">
+                          <Toggle
+                            checked={!!editForm.adapt_case}
+                            disabled={!!editForm.case_sensitive}
+                            onChange={(v) => setEditForm({ ...editForm, adapt_case: v ? 1 : 0 })}
+                          />
+                          <span className="form-hint">Capitalize the text to match how you typed the shortcut</span>
+                        </div>
+                      </div>
+                    </div>
+
                     <div className="form-group">
-                      <label className="form-label">Title</label>
-                      <input
-                        className="form-input"
-                        type="text"
-                        placeholder="Descriptive title..."
-                        value={editForm.title}
-                        onChange={(e) =>
-                          setEditForm({ ...editForm, title: e.target.value })
-                        }
-                      />
+                      <label className="form-label">Enabled</label>
+                      <div className="form-toggle-row">
+                        <Toggle
+                          checked={!!editForm.enabled}
+                          onChange={(v) => setEditForm({ ...editForm, enabled: v ? 1 : 0 })}
+                        />
+                        <span className="form-hint">
+                          Off keeps the snippet and its history, but it never expands and stays out of the launcher
+                        </span>
+                      </div>
                     </div>
 
-                    <div className="form-group" style={{ flex: 1 }}>
-                      <label className="form-label">Expanded Text</label>
-                      <textarea
-                        className="form-textarea"
-                        placeholder="The full text that will replace your shortcut..."
-                        value={editForm.body}
-                        onChange={(e) =>
-                          setEditForm({ ...editForm, body: e.target.value })
-                        }
-                        style={{ flex: 1, minHeight: '220px' }}
+                    {(usesShell || editForm.format === 'script' || !!editForm.trusted) && (
+                      <div className="form-group">
+                        <label className="form-label">Trusted</label>
+                        <div className="form-toggle-row">
+                          <Toggle
+                            checked={!!editForm.trusted}
+                            onChange={(v) => setEditForm({ ...editForm, trusted: v ? 1 : 0 })}
+                          />
+                          <span className="form-hint">
+                            {editForm.format === 'script'
+                              ? 'Let this snippet run its script when the shortcut is typed'
+                              : <>Let this snippet run its {'{shell:…}'} commands (shell commands must also be on in Settings)</>}
+                          </span>
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="form-group">
+                      <label className="form-label">Expand In</label>
+                      <AppRuleFields
+                        mode={editForm.app_rule_mode}
+                        apps={editForm.app_rule_apps}
+                        onChange={({ mode, apps }) => setEditForm({ ...editForm, app_rule_mode: mode, app_rule_apps: apps })}
+                        inheritLabel="Default (from category / Settings)"
                       />
                     </div>
 
+                    {editForm.format === 'image' ? (
+                      <div className="form-group" style={{ flex: 1 }}>
+                        <div className="form-label-row">
+                          <label className="form-label">Image</label>
+                          <div className="body-toolbar">
+                            <button className="body-toolbar-btn" onClick={handleChooseImage} title="Pick an image file">
+                              <ImageIcon size={13} />
+                              <span>Choose…</span>
+                            </button>
+                          </div>
+                        </div>
+                        <div
+                          className={`image-drop ${imageDragOver ? 'drag-over' : ''}`}
+                          onDragOver={(e) => { e.preventDefault(); setImageDragOver(true); }}
+                          onDragLeave={() => setImageDragOver(false)}
+                          onDrop={handleImageDrop}
+                        >
+                          {imagePreview ? (
+                            <img src={imagePreview} alt={editForm.title} />
+                          ) : (
+                            <span className="form-hint">Drop a PNG, JPEG or GIF here — it is pasted in place of the shortcut</span>
+                          )}
+                        </div>
+                        <input
+                          className="form-input"
+                          type="text"
+                          placeholder="Description (optional, shown in the list and used by search)"
+                          value={editForm.body}
+                          onChange={(e) => setEditForm({ ...editForm, body: e.target.value })}
+                        />
+                      </div>
+                    ) : (
+                      <div className="form-group" style={{ flex: 1 }}>
+                        <div className="form-label-row">
+                          <label className="form-label">{isScript ? 'Script' : 'Expanded Text'}</label>
+                          {isScript ? (
+                            <div className="body-toolbar">
+                              <button className="body-toolbar-btn" onClick={handleRunScript} title="Run the script and show what it would insert">
+                                <Play size={13} />
+                                <span>Run</span>
+                              </button>
+                            </div>
+                          ) : (
+                            <div className="body-toolbar">
+                              <button
+                                className="body-toolbar-btn"
+                                onClick={() => insertIntoBody('{cursor}')}
+                                title="Place the caret here after expansion"
+                              >
+                                <TextCursorInput size={13} />
+                                <span>Cursor</span>
+                              </button>
+                              <button
+                                className="body-toolbar-btn"
+                                onClick={() => insertIntoBody('{date}')}
+                                title="Today's date — e.g. {date:+3d:ddd MMM D}, {time}, {datetime:YYYY-MM-DD HH:mm}"
+                              >
+                                <CalendarClock size={13} />
+                                <span>Date</span>
+                              </button>
+                              <button
+                                className="body-toolbar-btn"
+                                onClick={() => insertIntoBody('{input:Name}')}
+                                title="Ask for a value when expanding — also {select:Plan|Basic|Pro} and {multiline:Notes}"
+                              >
+                                <FormInput size={13} />
+                                <span>Field</span>
+                              </button>
+                              {isRichFormat && (
+                                <>
+                                  <span className="body-toolbar-sep" />
+                                  <button className="body-toolbar-btn" onClick={() => wrapSelection('bold')} title="Bold">
+                                    <Bold size={13} />
+                                  </button>
+                                  <button className="body-toolbar-btn" onClick={() => wrapSelection('italic')} title="Italic">
+                                    <Italic size={13} />
+                                  </button>
+                                  <button className="body-toolbar-btn" onClick={() => wrapSelection('link')} title="Link">
+                                    <Link size={13} />
+                                  </button>
+                                  <button className="body-toolbar-btn" onClick={() => wrapSelection('list')} title="Bulleted list">
+                                    <List size={13} />
+                                  </button>
+                                  <button
+                                    className={`body-toolbar-btn ${showPreview ? 'active' : ''}`}
+                                    onClick={() => setShowPreview(!showPreview)}
+                                    title="Preview the formatted text"
+                                  >
+                                    <Eye size={13} />
+                                    <span>Preview</span>
+                                  </button>
+                                </>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                        {isRichFormat && showPreview ? (
+                          <iframe
+                            className="body-preview"
+                            title="Formatted preview"
+                            sandbox=""
+                            srcDoc={`<!doctype html><meta charset="utf-8"><style>body{font:14px/1.5 -apple-system,BlinkMacSystemFont,'Inter',sans-serif;color:#1c1919;margin:12px;word-wrap:break-word}</style>${previewHtml}`}
+                          />
+                        ) : (
+                          <textarea
+                            ref={bodyRef}
+                            className={`form-textarea ${isScript ? 'mono' : ''}`}
+                            placeholder={isScript
+                              ? "return `Order ${randomString(8, '0123456789')} — ${date('MMM D')}`;"
+                              : 'The full text that will replace your shortcut...'}
+                            value={editForm.body}
+                            onChange={(e) =>
+                              setEditForm({ ...editForm, body: e.target.value })
+                            }
+                            spellCheck={!isScript}
+                            style={{ flex: 1, minHeight: '220px' }}
+                          />
+                        )}
+                        {isScript && (
+                          scriptResult?.error ? (
+                            <div className="form-warning">
+                              <AlertTriangle size={13} />
+                              <span>{scriptResult.error}</span>
+                            </div>
+                          ) : scriptResult ? (
+                            <pre className="script-output">{scriptResult.text || '(empty)'}</pre>
+                          ) : (
+                            <span className="form-hint">
+                              Return the text to insert. Helpers: date(format, shift), random(min, max),
+                              randomString(length, chars), uuid(), clipboard(), placeholder('time:HH:mm'), values, groups.
+                              Runs for at most 1 second, without require or network.
+                            </span>
+                          )
+                        )}
+                        {brokenRefs.length > 0 && (
+                          <div className="form-warning">
+                            <AlertTriangle size={13} />
+                            <span>
+                              Can't resolve {brokenRefs.map((r) => `{snippet:${r}}`).join(', ')} — no other
+                              snippet has that shortcut, so it will be inserted as written.
+                            </span>
+                          </div>
+                        )}
+                      </div>
+                    )}
+
                     {!isNew && editForm.created_at && (
                       <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
-                        <span className="status-active">Active</span>
+                        {editForm.enabled
+                          ? <span className="status-active">Active</span>
+                          : <span className="status-disabled">Disabled</span>}
                         <span style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>
                           Created {new Date(editForm.created_at).toLocaleDateString()}
                         </span>
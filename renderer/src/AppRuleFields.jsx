@@ -0,0 +1,32 @@
+/**
+ * Per-app expansion rule editor — "only in these apps" / "never in these apps".
+ * Used globally (Settings), per category (CategoryModal) and per snippet (editor).
+ * `inheritLabel` adds an option that defers to the next broader rule (stored as null).
+ */
+export default function AppRuleFields({ mode, apps, onChange, onAppsBlur, inheritLabel }) {
+  const value = mode || (inheritLabel ? '' : 'any');
+  return (
+    <div className="app-rule-fields">
+      <select
+        className="form-select"
+        value={value}
+        onChange={(e) => onChange({ mode: e.target.value || null, apps })}
+      >
+        {inheritLabel && <option value="">{inheritLabel}</option>}
+        <option value="any">In every app</option>
+        <option value="only">Only in these apps</option>
+        <option value="never">Never in these apps</option>
+      </select>
+      {(value === 'only' || value === 'never') && (
+        <input
+          className="form-input"
+          type="text"
+          placeholder="e.g. slack, code, gnome-terminal"
+          value={apps || ''}
+          onChange={(e) => onChange({ mode: value, apps: e.target.value })}
+          onBlur={onAppsBlur}
+        />
+      )}
+    </div>
+  );
+}
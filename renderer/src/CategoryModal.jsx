@@ -17,6 +17,7 @@ import {
   Shield,
   Coffee,
 } from 'lucide-react';
+import AppRuleFields from './AppRuleFields';
 
 const ICON_OPTIONS = [
   { name: 'tag', Icon: Tag },
@@ -59,6 +60,10 @@ export default function CategoryModal({ category, onSave, onClose }) {
   const [name, setName] = useState(category?.name || '');
   const [color, setColor] = useState(category?.color || COLOR_OPTIONS[0]);
   const [icon, setIcon] = useState(category?.icon || 'tag');
+  const [appRule, setAppRule] = useState({
+    mode: category?.app_rule_mode || null,
+    apps: category?.app_rule_apps || '',
+  });
   const nameRef = useRef(null);
 
   useEffect(() => {
@@ -79,7 +84,7 @@ export default function CategoryModal({ category, onSave, onClose }) {
 
   const handleSave = () => {
     if (!name.trim()) return;
-    onSave({ name: name.trim(), color, icon });
+    onSave({ name: name.trim(), color, icon, app_rule_mode: appRule.mode, app_rule_apps: appRule.apps });
   };
 
   return (
@@ -158,6 +163,17 @@ export default function CategoryModal({ category, onSave, onClose }) {
               ))}
             </div>
           </div>
+
+          {/* App rule */}
+          <div className="modal-field">
+            <label className="modal-label">Expand In</label>
+            <AppRuleFields
+              mode={appRule.mode}
+              apps={appRule.apps}
+              onChange={setAppRule}
+              inheritLabel="Default (from Settings)"
+            />
+          </div>
         </div>
 
         <div className="modal-footer">
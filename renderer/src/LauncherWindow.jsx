@@ -0,0 +1,142 @@
+import { useState, useEffect, useRef } from 'react';
+import { Search, Zap } from 'lucide-react';
+
+const MAX_RESULTS = 50;
+
+/**
+ * Fuzzy score of `query` against `text`: every query character must appear in
+ * order. Runs of consecutive characters and matches at word starts score higher.
+ * Returns 0 when there is no match.
+ */
+function fuzzyScore(query, text) {
+  if (!text) return 0;
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return 0;
+    run = at === from ? run + 1 : 1;
+    const wordStart = at === 0 || /[\s\-_.,/]/.test(t[at - 1]);
+    score += run + (wordStart ? 2 : 0);
+    from = at + 1;
+  }
+  // Prefer tighter matches in shorter text
+  return score + q.length / t.length;
+}
+
+// Shortcut matches count most, then the title, then the body
+function scoreSnippet(query, s) {
+  return Math.max(
+    fuzzyScore(query, s.shortcut) * 3,
+    fuzzyScore(query, s.title) * 2,
+    fuzzyScore(query, s.body)
+  );
+}
+
+/**
+ * Quick-search launcher — its own frameless window, opened by a global hotkey.
+ * Type to search, ↑/↓ to choose, Enter inserts into the app underneath, Escape closes.
+ */
+export default function LauncherWindow() {
+  const [snippets, setSnippets] = useState([]);
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  const load = async () => {
+    if (!window.snapcut) return;
+    const theme = await window.snapcut.getTheme();
+    document.documentElement.setAttribute('data-theme', theme);
+    // Disabled snippets are switched off everywhere, the launcher included
+    setSnippets((await window.snapcut.getSnippets()).filter((s) => s.enabled));
+    setQuery('');
+    setSelected(0);
+    if (inputRef.current) inputRef.current.focus();
+  };
+
+  useEffect(() => {
+    load();
+    if (!window.snapcut?.launcher) return;
+    return window.snapcut.launcher.onOpened(load);
+  }, []);
+
+  const results = query.trim()
+    ? snippets
+      .map((s) => ({ s, score: scoreSnippet(query.trim(), s) }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map((r) => r.s)
+    : snippets.slice(0, MAX_RESULTS); // most used first, as the main list orders them
+
+  // Keep the highlighted row in view
+  useEffect(() => {
+    const row = listRef.current?.children[selected];
+    if (row) row.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const insert = (snippet) => {
+    if (snippet && window.snapcut) window.snapcut.launcher.insert(snippet.id);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected((i) => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      insert(results[selected]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      window.snapcut?.launcher.close();
+    }
+  };
+
+  return (
+    <div className="launcher-window">
+      <div className="launcher-search">
+        <Search size={16} />
+        <input
+          ref={inputRef}
+          className="launcher-input"
+          type="text"
+          placeholder="Search snippets..."
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setSelected(0); }}
+          onKeyDown={handleKeyDown}
+          autoFocus
+        />
+      </div>
+      <div className="launcher-results" ref={listRef}>
+        {results.length === 0 ? (
+          <div className="launcher-empty">No matching snippets</div>
+        ) : (
+          results.map((s, i) => (
+            <div
+              key={s.id}
+              className={`launcher-item ${i === selected ? 'active' : ''}`}
+              onMouseMove={() => setSelected(i)}
+              onClick={() => insert(s)}
+            >
+              <Zap size={14} />
+              <div className="launcher-item-text">
+                <div className="launcher-item-title">{s.title}</div>
+                <div className="launcher-item-preview">
+                  {s.format === 'image' && !s.body ? 'Image' : s.body.substring(0, 90).replace(/\n/g, ' ')}
+                </div>
+              </div>
+              <span className="launcher-item-shortcut">{s.shortcut}</span>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
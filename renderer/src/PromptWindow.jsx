@@ -0,0 +1,102 @@
+import { useState, useEffect, useRef } from 'react';
+import { FormInput, Check, X } from 'lucide-react';
+
+/**
+ * Fill-in prompt — shown in its own small always-on-top window when a snippet
+ * with {input:…} / {select:…} / {multiline:…} fields is expanded.
+ * Enter inserts (Ctrl/Cmd+Enter inside a multiline field), Escape cancels.
+ */
+export default function PromptWindow() {
+  const [request, setRequest] = useState(null);
+  const [values, setValues] = useState({});
+  const firstFieldRef = useRef(null);
+
+  useEffect(() => {
+    (async () => {
+      if (!window.snapcut) return;
+      const theme = await window.snapcut.getTheme();
+      document.documentElement.setAttribute('data-theme', theme);
+      const req = await window.snapcut.prompt.getRequest();
+      if (req) {
+        setRequest(req);
+        setValues(req.values || {});
+      }
+    })();
+  }, []);
+
+  useEffect(() => {
+    if (request && firstFieldRef.current) {
+      firstFieldRef.current.focus();
+      if (firstFieldRef.current.select) firstFieldRef.current.select();
+    }
+  }, [request]);
+
+  const submit = () => window.snapcut.prompt.submit(values);
+  const cancel = () => window.snapcut.prompt.cancel();
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cancel();
+      } else if (e.key === 'Enter') {
+        const inTextarea = e.target.tagName === 'TEXTAREA';
+        if (inTextarea && !(e.metaKey || e.ctrlKey)) return;
+        e.preventDefault();
+        submit();
+      }
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  const setValue = (label, value) => setValues((prev) => ({ ...prev, [label]: value }));
+
+  if (!request) return <div className="prompt-window" />;
+
+  return (
+    <div className="prompt-window">
+      <div className="prompt-header">
+        <FormInput size={15} />
+        <span className="prompt-title">{request.title}</span>
+      </div>
+
+      <div className="prompt-fields">
+        {request.fields.map((field, i) => {
+          const common = {
+            ref: i === 0 ? firstFieldRef : undefined,
+            value: values[field.label] ?? '',
+            onChange: (e) => setValue(field.label, e.target.value),
+          };
+          return (
+            <div className="form-group" key={field.label}>
+              <label className="form-label">{field.label}</label>
+              {field.type === 'select' && (
+                <select className="form-select" {...common}>
+                  {field.options.map((opt) => (
+                    <option key={opt} value={opt}>{opt}</option>
+                  ))}
+                </select>
+              )}
+              {field.type === 'multiline' && (
+                <textarea className="form-textarea prompt-textarea" {...common} />
+              )}
+              {field.type === 'input' && (
+                <input className="form-input" {...common} />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="prompt-actions">
+        <button className="btn-copy" onClick={cancel}>
+          <X /> Cancel
+        </button>
+        <button className="btn-save" onClick={submit}>
+          <Check /> Insert
+        </button>
+      </div>
+    </div>
+  );
+}
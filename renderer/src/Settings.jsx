@@ -19,10 +19,20 @@ import {
   User,
   Camera,
   Save,
+  AppWindow,
+  RefreshCw,
+  Pause,
+  Play,
+  Search,
+  Terminal,
+  Clipboard,
+  Plus,
+  AlertTriangle,
 } from 'lucide-react';
+import AppRuleFields from './AppRuleFields';
 
 /* ─── Toggle switch ─── */
-function Toggle({ checked, onChange, disabled }) {
+export function Toggle({ checked, onChange, disabled }) {
   return (
     <button
       className={`stg-toggle ${checked ? 'on' : ''} ${disabled ? 'disabled' : ''}`}
@@ -39,14 +49,37 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
   const [wpm, setWpm] = useState(40);
   const [wpmInput, setWpmInput] = useState('40');
   const [editingWpm, setEditingWpm] = useState(false);
+  const [expansionMode, setExpansionMode] = useState('instant'); // 'instant' | 'delimiter'
+  const [keepDelimiter, setKeepDelimiter] = useState(true);
+  const [injectStrategy, setInjectStrategy] = useState('paste'); // 'paste' | 'type'
+  const [wordStart, setWordStart] = useState(false);
+  const [undoBackspace, setUndoBackspace] = useState(true);
   const [triggerSpace, setTriggerSpace] = useState(true);
   const [triggerEnter, setTriggerEnter] = useState(true);
   const [triggerTab, setTriggerTab] = useState(true);
   const [soundEnabled, setSoundEnabled] = useState(false);
+  const [resetOnClick, setResetOnClick] = useState(true);
+  const [resetOnFocus, setResetOnFocus] = useState(true);
+  const [idleReset, setIdleReset] = useState('10'); // seconds, '0' = never
+  const [shellEnabled, setShellEnabled] = useState(false);
+  const [shellTimeout, setShellTimeout] = useState('2'); // seconds
+  const [shellCwd, setShellCwd] = useState(''); // blank = home directory
+  const [restore, setRestore] = useState({ baseMs: 800, profiles: {}, lastPaste: null });
+  const [restoreBaseInput, setRestoreBaseInput] = useState('800');
+  const [newProfile, setNewProfile] = useState({ app: '', ms: '' });
+  const [keyboardLayout, setKeyboardLayout] = useState('auto'); // layout id or 'auto'
+  const [layoutInfo, setLayoutInfo] = useState({ layouts: [], detected: null });
+  const [appRule, setAppRule] = useState({ mode: 'any', apps: '' });
+  const [skipped, setSkipped] = useState([]); // recent expansions blocked by an app rule
+  const [pauseState, setPauseState] = useState({ paused: false, until: null, hotkey: '' });
+  const [hotkeyInput, setHotkeyInput] = useState('');
+  const [launcherHotkey, setLauncherHotkey] = useState('');
+  const [launcherHotkeyInput, setLauncherHotkeyInput] = useState('');
   const [snippetCount, setSnippetCount] = useState(0);
   const [expansionCount, setExpansionCount] = useState(0);
   const [dbSize, setDbSize] = useState('—');
   const [appVersion, setAppVersion] = useState('1.0.0');
+  const [injector, setInjector] = useState(null); // { id, label, available }
   const [updateCheckStatus, setUpdateCheckStatus] = useState(null); // null | 'checking' | 'up-to-date' | 'available'
   const [confirmClear, setConfirmClear] = useState(false);
   const [toast, setToast] = useState(null);
@@ -64,6 +97,18 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
     loadSettings();
   }, []);
 
+  // Pause can also change from the tray or the hotkey while Settings is open
+  useEffect(() => {
+    if (!window.snapcut?.onPauseChanged) return;
+    return window.snapcut.onPauseChanged((state) => setPauseState(state));
+  }, []);
+
+  // So can the restore delays — "Wrong Text Pasted" lives in the tray too
+  useEffect(() => {
+    if (!window.snapcut?.onRestoreChanged) return;
+    return window.snapcut.onRestoreChanged(() => loadRestore());
+  }, []);
+
   useEffect(() => {
     if (editingWpm && wpmRef.current) {
       wpmRef.current.focus();
@@ -81,7 +126,17 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
       setWpm(w);
       setWpmInput(String(w));
 
-      // Load trigger key settings
+      // Load expansion mode + trigger key settings
+      const mode = await window.snapcut.getSetting('expansion_mode');
+      const keep = await window.snapcut.getSetting('keep_delimiter');
+      if (mode) setExpansionMode(mode);
+      if (keep !== null) setKeepDelimiter(keep === 'true');
+      const strategy = await window.snapcut.getSetting('inject_strategy');
+      if (strategy) setInjectStrategy(strategy);
+      const ws = await window.snapcut.getSetting('word_start');
+      if (ws !== null) setWordStart(ws === 'true');
+      const undo = await window.snapcut.getSetting('undo_backspace');
+      if (undo !== null) setUndoBackspace(undo === 'true');
       const tSpace = await window.snapcut.getSetting('trigger_space');
       const tEnter = await window.snapcut.getSetting('trigger_enter');
       const tTab = await window.snapcut.getSetting('trigger_tab');
@@ -90,11 +145,50 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
       if (tEnter !== null) setTriggerEnter(tEnter === 'true');
       if (tTab !== null) setTriggerTab(tTab === 'true');
       if (snd !== null) setSoundEnabled(snd === 'true');
+      const ruleMode = await window.snapcut.getSetting('app_rule_mode');
+      const ruleApps = await window.snapcut.getSetting('app_rule_apps');
+      setAppRule({ mode: ruleMode || 'any', apps: ruleApps || '' });
+      const rClick = await window.snapcut.getSetting('reset_on_click');
+      const rFocus = await window.snapcut.getSetting('reset_on_focus');
+      const rIdle = await window.snapcut.getSetting('idle_reset_seconds');
+      if (rClick !== null) setResetOnClick(rClick === 'true');
+      if (rFocus !== null) setResetOnFocus(rFocus === 'true');
+      if (rIdle !== null) setIdleReset(rIdle);
+      const shEnabled = await window.snapcut.getSetting('shell_enabled');
+      const shTimeout = await window.snapcut.getSetting('shell_timeout_seconds');
+      const shCwd = await window.snapcut.getSetting('shell_cwd');
+      if (shEnabled !== null) setShellEnabled(shEnabled === 'true');
+      if (shTimeout !== null) setShellTimeout(shTimeout);
+      if (shCwd !== null) setShellCwd(shCwd);
+      await loadRestore();
+      const layout = await window.snapcut.getSetting('keyboard_layout');
+      if (layout) setKeyboardLayout(layout);
+      if (window.snapcut.getKeyboardLayouts) {
+        setLayoutInfo(await window.snapcut.getKeyboardLayouts());
+      }
+      if (window.snapcut.getSkippedExpansions) {
+        setSkipped(await window.snapcut.getSkippedExpansions());
+      }
+      if (window.snapcut.getPauseState) {
+        const pause = await window.snapcut.getPauseState();
+        setPauseState(pause);
+        setHotkeyInput(pause.hotkey);
+      }
+      if (window.snapcut.getHotkey) {
+        const launcher = await window.snapcut.getHotkey('launcher');
+        setLauncherHotkey(launcher || '');
+        setLauncherHotkeyInput(launcher || '');
+      }
 
       // DB info
       const info = await window.snapcut.getDbInfo();
       if (info?.size) setDbSize(info.size);
 
+      // Text injection backend picked by the main process
+      if (window.snapcut.getInjectorInfo) {
+        setInjector(await window.snapcut.getInjectorInfo());
+      }
+
       // App version from auto-updater
       if (window.snapcut?.updater?.getVersion) {
         const ver = await window.snapcut.updater.getVersion();
@@ -135,6 +229,112 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
     }
   };
 
+  const handleExpansionMode = (mode) => {
+    setExpansionMode(mode);
+    saveTrigger('expansion_mode', mode);
+  };
+
+  /* ─── Clipboard restore delays ─── */
+  const loadRestore = async () => {
+    if (!window.snapcut?.getRestoreDelays) return;
+    const r = await window.snapcut.getRestoreDelays();
+    setRestore(r);
+    setRestoreBaseInput(String(r.baseMs));
+  };
+
+  const saveRestore = async (next) => {
+    if (!window.snapcut) return;
+    const saved = await window.snapcut.setRestoreDelays(next);
+    setRestore((prev) => ({ ...prev, ...saved }));
+    setRestoreBaseInput(String(saved.baseMs));
+  };
+
+  const setProfileDelay = (app, ms) => {
+    setRestore((prev) => ({ ...prev, profiles: { ...prev.profiles, [app]: ms } }));
+  };
+
+  const removeProfile = (app) => {
+    const { [app]: _removed, ...rest } = restore.profiles;
+    saveRestore({ profiles: rest });
+  };
+
+  const addProfile = () => {
+    const app = newProfile.app.trim().toLowerCase();
+    const ms = parseInt(newProfile.ms, 10);
+    if (!app || !(ms > 0)) return;
+    saveRestore({ profiles: { ...restore.profiles, [app]: ms } });
+    setNewProfile({ app: '', ms: '' });
+  };
+
+  const handleWrongPaste = async () => {
+    if (!window.snapcut) return;
+    const result = await window.snapcut.reportWrongPaste();
+    flash(result.error || `Now waiting ${result.delayMs} ms in ${result.app}`);
+    loadRestore();
+  };
+
+  const handleKeyboardLayout = (layout) => {
+    setKeyboardLayout(layout);
+    saveTrigger('keyboard_layout', layout);
+  };
+
+  const layoutLabel = (id) => layoutInfo.layouts.find((l) => l.id === id)?.label || id;
+
+  const handleInjectStrategy = (strategy) => {
+    setInjectStrategy(strategy);
+    saveTrigger('inject_strategy', strategy);
+  };
+
+  /* ─── Pause ─── */
+  // minutes: 15 / 60, null = until resumed, 0 = resume
+  const handlePause = async (minutes) => {
+    if (!window.snapcut) return;
+    setPauseState(await window.snapcut.setPaused(minutes));
+  };
+
+  const saveHotkey = async () => {
+    if (!window.snapcut || hotkeyInput.trim() === pauseState.hotkey) return;
+    const result = await window.snapcut.setHotkey('pause', hotkeyInput);
+    if (result?.error) {
+      flash(result.error);
+      setHotkeyInput(pauseState.hotkey);
+      return;
+    }
+    setPauseState((p) => ({ ...p, hotkey: hotkeyInput.trim() }));
+    flash(hotkeyInput.trim() ? 'Pause hotkey updated' : 'Pause hotkey disabled');
+  };
+
+  const saveLauncherHotkey = async () => {
+    const next = launcherHotkeyInput.trim();
+    if (!window.snapcut || next === launcherHotkey) return;
+    const result = await window.snapcut.setHotkey('launcher', next);
+    if (result?.error) {
+      flash(result.error);
+      setLauncherHotkeyInput(launcherHotkey);
+      return;
+    }
+    setLauncherHotkey(next);
+    flash(next ? 'Quick search hotkey updated' : 'Quick search hotkey disabled');
+  };
+
+  const pauseStatus = !pauseState.paused
+    ? 'Snippets are expanding'
+    : pauseState.until
+      ? `Paused until ${new Date(pauseState.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : 'Paused until you resume';
+
+  /* ─── App rules ─── */
+  const handleAppRule = (next) => {
+    const modeChanged = next.mode !== appRule.mode;
+    setAppRule(next);
+    // The app list is saved on blur — no settings write per keystroke
+    if (modeChanged) saveTrigger('app_rule_mode', next.mode || 'any');
+  };
+
+  const refreshSkipped = async () => {
+    if (window.snapcut?.getSkippedExpansions) setSkipped(await window.snapcut.getSkippedExpansions());
+  };
+
   /* ─── Profile ─── */
   const handlePhotoUpload = (e) => {
     const file = e.target.files?.[0];
@@ -331,13 +531,40 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
           <span>Expansion</span>
         </div>
         <div className="stg-card">
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Expand</div>
+              <div className="stg-row-desc">
+                {expansionMode === 'delimiter'
+                  ? 'Wait for a trigger key after the shortcut'
+                  : 'Expand as soon as the shortcut is typed'}
+              </div>
+            </div>
+            <div className="stg-row-action">
+              <div className="stg-theme-switcher">
+                <button
+                  className={`stg-theme-opt ${expansionMode === 'instant' ? 'active' : ''}`}
+                  onClick={() => expansionMode !== 'instant' && handleExpansionMode('instant')}
+                >
+                  Instantly
+                </button>
+                <button
+                  className={`stg-theme-opt ${expansionMode === 'delimiter' ? 'active' : ''}`}
+                  onClick={() => expansionMode !== 'delimiter' && handleExpansionMode('delimiter')}
+                >
+                  On trigger key
+                </button>
+              </div>
+            </div>
+          </div>
+          <div className="stg-divider" />
           <div className="stg-row">
             <div className="stg-row-text">
               <div className="stg-row-title">Trigger on Space</div>
               <div className="stg-row-desc">Expand snippet when you press space after shortcut</div>
             </div>
             <div className="stg-row-action">
-              <Toggle checked={triggerSpace} onChange={(v) => { setTriggerSpace(v); saveTrigger('trigger_space', v); }} />
+              <Toggle checked={triggerSpace} disabled={expansionMode !== 'delimiter'} onChange={(v) => { setTriggerSpace(v); saveTrigger('trigger_space', v); }} />
             </div>
           </div>
           <div className="stg-divider" />
@@ -347,7 +574,7 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
               <div className="stg-row-desc">Expand snippet when you press enter after shortcut</div>
             </div>
             <div className="stg-row-action">
-              <Toggle checked={triggerEnter} onChange={(v) => { setTriggerEnter(v); saveTrigger('trigger_enter', v); }} />
+              <Toggle checked={triggerEnter} disabled={expansionMode !== 'delimiter'} onChange={(v) => { setTriggerEnter(v); saveTrigger('trigger_enter', v); }} />
             </div>
           </div>
           <div className="stg-divider" />
@@ -357,7 +584,129 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
               <div className="stg-row-desc">Expand snippet when you press tab after shortcut</div>
             </div>
             <div className="stg-row-action">
-              <Toggle checked={triggerTab} onChange={(v) => { setTriggerTab(v); saveTrigger('trigger_tab', v); }} />
+              <Toggle checked={triggerTab} disabled={expansionMode !== 'delimiter'} onChange={(v) => { setTriggerTab(v); saveTrigger('trigger_tab', v); }} />
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Keep trigger key</div>
+              <div className="stg-row-desc">Type the space, enter or tab after the expanded text instead of swallowing it</div>
+            </div>
+            <div className="stg-row-action">
+              <Toggle checked={keepDelimiter} disabled={expansionMode !== 'delimiter'} onChange={(v) => { setKeepDelimiter(v); saveTrigger('keep_delimiter', v); }} />
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Word start only</div>
+              <div className="stg-row-desc">Don't expand shortcuts typed inside other words (snippets can override)</div>
+            </div>
+            <div className="stg-row-action">
+              <Toggle checked={wordStart} onChange={(v) => { setWordStart(v); saveTrigger('word_start', v); }} />
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Undo with Backspace</div>
+              <div className="stg-row-desc">Press Backspace right after an expansion to get your shortcut back</div>
+            </div>
+            <div className="stg-row-action">
+              <Toggle checked={undoBackspace} onChange={(v) => { setUndoBackspace(v); saveTrigger('undo_backspace', v); }} />
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Forget on mouse click</div>
+              <div className="stg-row-desc">Clicking starts a new word, so "ad", click, "dr" doesn't expand "addr"</div>
+            </div>
+            <div className="stg-row-action">
+              <Toggle checked={resetOnClick} onChange={(v) => { setResetOnClick(v); saveTrigger('reset_on_click', v); }} />
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Forget on window switch</div>
+              <div className="stg-row-desc">Start a new word when you move to another window</div>
+            </div>
+            <div className="stg-row-action">
+              <Toggle checked={resetOnFocus} onChange={(v) => { setResetOnFocus(v); saveTrigger('reset_on_focus', v); }} />
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Forget after a pause</div>
+              <div className="stg-row-desc">Start a new word when you stop typing for a while</div>
+            </div>
+            <div className="stg-row-action">
+              <select
+                className="form-select"
+                value={idleReset}
+                onChange={(e) => { setIdleReset(e.target.value); saveTrigger('idle_reset_seconds', e.target.value); }}
+              >
+                <option value="5">5 seconds</option>
+                <option value="10">10 seconds</option>
+                <option value="30">30 seconds</option>
+                <option value="60">1 minute</option>
+                <option value="0">Never</option>
+              </select>
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Insert text by</div>
+              <div className="stg-row-desc">
+                {injectStrategy === 'type'
+                  ? 'Type the snippet as keystrokes — never touches the clipboard'
+                  : 'Paste through the clipboard — fastest, restores your clipboard after'}
+              </div>
+            </div>
+            <div className="stg-row-action">
+              <div className="stg-theme-switcher">
+                <button
+                  className={`stg-theme-opt ${injectStrategy === 'paste' ? 'active' : ''}`}
+                  onClick={() => injectStrategy !== 'paste' && handleInjectStrategy('paste')}
+                >
+                  Paste
+                </button>
+                <button
+                  className={`stg-theme-opt ${injectStrategy === 'type' ? 'active' : ''}`}
+                  onClick={() => injectStrategy !== 'type' && handleInjectStrategy('type')}
+                >
+                  Type
+                </button>
+              </div>
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Keyboard layout</div>
+              <div className="stg-row-desc">
+                {keyboardLayout === 'auto'
+                  ? layoutInfo.detected
+                    ? `Detected ${layoutLabel(layoutInfo.detected)} from your system`
+                    : "Couldn't detect your layout — using English (US)"
+                  : 'How shortcuts are read from your keys, including dead keys and AltGr'}
+              </div>
+            </div>
+            <div className="stg-row-action">
+              <select
+                className="form-select"
+                value={keyboardLayout}
+                onChange={(e) => handleKeyboardLayout(e.target.value)}
+              >
+                <option value="auto">Auto-detect</option>
+                {layoutInfo.layouts.map((l) => (
+                  <option key={l.id} value={l.id}>{l.label}</option>
+                ))}
+              </select>
             </div>
           </div>
           <div className="stg-divider" />
@@ -373,6 +722,290 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
         </div>
       </section>
 
+      {/* ─── Clipboard Restore ─── */}
+      <section className="stg-section">
+        <div className="stg-section-label">
+          <Clipboard size={15} />
+          <span>Clipboard Restore</span>
+        </div>
+        <div className="stg-card">
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Restore after</div>
+              <div className="stg-row-desc">
+                How long apps get to read a pasted snippet before your clipboard comes back. Shorter suits fast typists; slow apps may paste your old clipboard.
+              </div>
+            </div>
+            <div className="stg-row-action">
+              <input
+                className="stg-restore-input"
+                type="number"
+                min="100"
+                max="5000"
+                step="50"
+                value={restoreBaseInput}
+                onChange={(e) => setRestoreBaseInput(e.target.value)}
+                onBlur={() => saveRestore({ baseMs: parseInt(restoreBaseInput, 10), profiles: restore.profiles })}
+              />
+              <span className="stg-wpm-unit">ms</span>
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Wrong text pasted?</div>
+              <div className="stg-row-desc">
+                {restore.lastPaste
+                  ? `Last paste: ${restore.lastPaste.injectMs} ms into ${restore.lastPaste.app || 'an unknown app'}, clipboard restored after ${restore.lastPaste.delayMs} ms`
+                  : 'Report it right after it happens (also in the tray menu) and that app gets a longer delay'}
+              </div>
+            </div>
+            <div className="stg-row-action">
+              <button className="stg-action-btn" onClick={handleWrongPaste} disabled={!restore.lastPaste}>
+                <AlertTriangle size={14} />
+                Report
+              </button>
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row stg-row-stacked">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Per-app delays</div>
+              <div className="stg-row-desc">Learned from your reports — edit or remove them here</div>
+            </div>
+            <div className="stg-restore-profiles">
+              {Object.entries(restore.profiles).map(([app, ms]) => (
+                <div className="stg-restore-profile" key={app}>
+                  <code>{app}</code>
+                  <input
+                    className="stg-restore-input"
+                    type="number"
+                    min="100"
+                    max="5000"
+                    step="50"
+                    value={ms}
+                    onChange={(e) => setProfileDelay(app, e.target.value)}
+                    onBlur={() => saveRestore({ profiles: restore.profiles })}
+                  />
+                  <span className="stg-wpm-unit">ms</span>
+                  <button className="stg-icon-btn" onClick={() => removeProfile(app)} title="Use the base delay again">
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              <div className="stg-restore-profile">
+                <input
+                  className="form-input"
+                  type="text"
+                  placeholder="App name, e.g. slack"
+                  value={newProfile.app}
+                  onChange={(e) => setNewProfile({ ...newProfile, app: e.target.value })}
+                />
+                <input
+                  className="stg-restore-input"
+                  type="number"
+                  min="100"
+                  max="5000"
+                  step="50"
+                  placeholder="ms"
+                  value={newProfile.ms}
+                  onChange={(e) => setNewProfile({ ...newProfile, ms: e.target.value })}
+                  onKeyDown={(e) => e.key === 'Enter' && addProfile()}
+                />
+                <button className="stg-action-btn" onClick={addProfile}>
+                  <Plus size={14} />
+                  Add
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {/* ─── Pause ─── */}
+      <section className="stg-section">
+        <div className="stg-section-label">
+          <Pause size={15} />
+          <span>Pause</span>
+        </div>
+        <div className="stg-card">
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Pause SnapCut</div>
+              <div className="stg-row-desc">{pauseStatus} — also in the tray menu</div>
+            </div>
+            <div className="stg-row-action stg-pause-actions">
+              {pauseState.paused ? (
+                <button className="stg-action-btn" onClick={() => handlePause(0)}>
+                  <Play size={14} />
+                  Resume
+                </button>
+              ) : (
+                <>
+                  <button className="stg-action-btn" onClick={() => handlePause(15)}>15 min</button>
+                  <button className="stg-action-btn" onClick={() => handlePause(60)}>1 hour</button>
+                  <button className="stg-action-btn" onClick={() => handlePause(null)}>
+                    <Pause size={14} />
+                    Until resumed
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Pause hotkey</div>
+              <div className="stg-row-desc">Toggles pause from anywhere, e.g. CommandOrControl+Alt+P — leave empty to turn off</div>
+            </div>
+            <div className="stg-row-action">
+              <input
+                className="stg-hotkey-input"
+                type="text"
+                placeholder="No hotkey"
+                value={hotkeyInput}
+                onChange={(e) => setHotkeyInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                onBlur={saveHotkey}
+              />
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {/* ─── Quick Search ─── */}
+      <section className="stg-section">
+        <div className="stg-section-label">
+          <Search size={15} />
+          <span>Quick Search</span>
+        </div>
+        <div className="stg-card">
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Quick search hotkey</div>
+              <div className="stg-row-desc">Opens a search box anywhere — pick a snippet and press Enter to insert it</div>
+            </div>
+            <div className="stg-row-action">
+              <input
+                className="stg-hotkey-input"
+                type="text"
+                placeholder="No hotkey"
+                value={launcherHotkeyInput}
+                onChange={(e) => setLauncherHotkeyInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                onBlur={saveLauncherHotkey}
+              />
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {/* ─── App Rules ─── */}
+      <section className="stg-section">
+        <div className="stg-section-label">
+          <AppWindow size={15} />
+          <span>App Rules</span>
+        </div>
+        <div className="stg-card">
+          <div className="stg-row stg-row-stacked">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Expand snippets</div>
+              <div className="stg-row-desc">
+                Match apps by window class (Linux) or app name (macOS). Categories and snippets can set their own rule — the most specific one wins.
+              </div>
+            </div>
+            <AppRuleFields
+              mode={appRule.mode}
+              apps={appRule.apps}
+              onChange={handleAppRule}
+              onAppsBlur={() => saveTrigger('app_rule_apps', appRule.apps)}
+            />
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row stg-row-stacked">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Skipped expansions</div>
+              <div className="stg-row-desc">Shortcuts a rule kept from expanding since SnapCut started</div>
+            </div>
+            <div className="stg-skip-log">
+              {skipped.length === 0 ? (
+                <span className="form-hint">Nothing skipped yet</span>
+              ) : (
+                skipped.slice().reverse().map((s) => (
+                  <div className="stg-skip-entry" key={`${s.at}-${s.shortcut}`}>
+                    <span className="stg-skip-time">{new Date(s.at).toLocaleTimeString()}</span>
+                    <code>{s.shortcut}</code>
+                    <span>in {s.app}</span>
+                    <span className="form-hint">{s.rule}</span>
+                  </div>
+                ))
+              )}
+              <button className="stg-action-btn" onClick={refreshSkipped}>
+                <RefreshCw size={14} />
+                Refresh
+              </button>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {/* ─── Shell Commands ─── */}
+      <section className="stg-section">
+        <div className="stg-section-label">
+          <Terminal size={15} />
+          <span>Shell Commands</span>
+        </div>
+        <div className="stg-card">
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Run {'{shell:…}'} placeholders</div>
+              <div className="stg-row-desc">
+                Insert a command's output, e.g. {'{shell:git rev-parse --abbrev-ref HEAD}'}. Only snippets marked Trusted run commands — imported ones never are.
+              </div>
+            </div>
+            <div className="stg-row-action">
+              <Toggle checked={shellEnabled} onChange={(v) => { setShellEnabled(v); saveTrigger('shell_enabled', v); }} />
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Time limit</div>
+              <div className="stg-row-desc">Commands still running after this are stopped and nothing is inserted</div>
+            </div>
+            <div className="stg-row-action">
+              <select
+                className="form-select"
+                value={shellTimeout}
+                disabled={!shellEnabled}
+                onChange={(e) => { setShellTimeout(e.target.value); saveTrigger('shell_timeout_seconds', e.target.value); }}
+              >
+                <option value="1">1 second</option>
+                <option value="2">2 seconds</option>
+                <option value="5">5 seconds</option>
+                <option value="10">10 seconds</option>
+              </select>
+            </div>
+          </div>
+          <div className="stg-divider" />
+          <div className="stg-row stg-row-stacked">
+            <div className="stg-row-text">
+              <div className="stg-row-title">Working directory</div>
+              <div className="stg-row-desc">Where commands run — leave empty for your home folder</div>
+            </div>
+            <input
+              className="form-input mono"
+              type="text"
+              placeholder="~"
+              value={shellCwd}
+              disabled={!shellEnabled}
+              onChange={(e) => setShellCwd(e.target.value)}
+              onBlur={() => saveTrigger('shell_cwd', shellCwd.trim())}
+            />
+          </div>
+        </div>
+      </section>
+
       {/* ─── Appearance ─── */}
       <section className="stg-section">
         <div className="stg-section-label">
@@ -512,6 +1145,11 @@ export default function Settings({ theme, onToggleTheme, profile, onSaveProfile
             <span className="stg-meta-label">Database size</span>
             <span className="stg-meta-value">{dbSize}</span>
           </div>
+          <div className="stg-divider" />
+          <div className="stg-row compact">
+            <span className="stg-meta-label">Text injection</span>
+            <span className="stg-meta-value">{injector ? injector.label : '—'}</span>
+          </div>
         </div>
       </section>
 
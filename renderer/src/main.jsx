@@ -1,10 +1,16 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import PromptWindow from './PromptWindow';
+import LauncherWindow from './LauncherWindow';
 import './styles/global.css';
 
+// Secondary windows load the same bundle with a hash route
+const VIEWS = { '#prompt': PromptWindow, '#launcher': LauncherWindow };
+const View = VIEWS[window.location.hash] || App;
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <View />
   </React.StrictMode>
 );
@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Module = require('module');
+const os = require('os');
+
+// ── Stubs for Electron, the native keyboard hook, the injector and the database ──
+// Each test loads a fresh key listener and drives it with synthetic uiohook events.
+
+let env;
+
+const KEYS = { ';': 39, a: 30, b: 48, x: 45, y: 21 };
+const BACKSPACE = 14;
+const ENTER = 28;
+const SPACE = 57;
+const V_KEY = 47;
+
+function keyEvent(keycode, mods = {}) {
+  return { keycode, shiftKey: false, ctrlKey: false, altKey: false, metaKey: false, ...mods };
+}
+
+function fakeInject(steps, done) {
+  env.injected.push(steps);
+  // The hook sees the injector's own keystrokes, as it does on a real desktop
+  for (const step of steps) {
+    if (step.key === 'backspace') for (let i = 0; i < step.count; i++) env.emit('keydown', keyEvent(BACKSPACE));
+    if (step.key === 'paste') env.emit('keydown', keyEvent(V_KEY, { ctrlKey: true }));
+    if (step.text) for (const char of step.text) env.emit('keydown', keyEvent(KEYS[char]));
+  }
+  setTimeout(() => done(null), env.injectMs);
+}
+
+const electron = {
+  clipboard: {
+    availableFormats: () => [],
+    readText: () => env.clipboard,
+    readHTML: () => '',
+    readRTF: () => '',
+    readImage: () => ({ isEmpty: () => true }),
+    readBookmark: () => ({ title: '', url: '' }),
+    readBuffer: () => Buffer.alloc(0),
+    writeText: (text) => {
+      env.clipboard = text;
+      env.pasted.push(text);
+    },
+    write: ({ text }) => electron.clipboard.writeText(text),
+    clear: () => { env.clipboard = ''; },
+  },
+  nativeImage: {},
+  app: { getPath: () => os.tmpdir() },
+};
+
+const loadModule = Module._load;
+Module._load = function (request, ...rest) {
+  if (request === 'electron') return electron;
+  if (request === 'uiohook-napi') {
+    return { uIOhook: { on: (event, fn) => { env.handlers[event] = fn; }, start() {}, stop() {} } };
+  }
+  if (request === './injector') return { inject: fakeInject };
+  if (request === './database') return { incrementUsage: () => 1, revertUsage() {} };
+  return loadModule.call(this, request, ...rest);
+};
+
+function startListener(snippets, { injectMs = 30, lookupMs = 0, watchFocus = false } = {}) {
+  env = {
+    injected: [],
+    pasted: [],
+    clipboard: '',
+    handlers: {},
+    injectMs,
+    window: '1',
+    lookups: 0,
+    focusChanged: null,
+    emit: (event, e) => env.handlers[event](e),
+  };
+  delete require.cache[require.resolve('../main/keylistener')];
+  const listener = require('../main/keylistener');
+  listener.setHooks({
+    getActiveApp: () => {
+      env.lookups++;
+      const app = { names: ['editor'], title: '', id: env.window };
+      return new Promise((resolve) => setTimeout(() => resolve(app), lookupMs));
+    },
+    ...(watchFocus && {
+      watchActiveWindow: (onChange) => {
+        env.focusChanged = onChange;
+        return () => { env.focusChanged = null; };
+      },
+    }),
+  });
+  listener.startKeyListener(snippets.map((s, i) => ({ id: i + 1, format: 'plain', enabled: 1, ...s })));
+  return listener;
+}
+
+function type(text) {
+  for (const char of text) env.emit('keydown', keyEvent(KEYS[char]));
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a second shortcut typed during a slow injection fires after the first', async () => {
+  const listener = startListener([{ shortcut: ';a', body: 'AAA' }, { shortcut: ';b', body: 'BBB' }], { injectMs: 150 });
+  type(';a');
+  await wait(50); // the first paste is still being injected
+  type(';b');
+  await wait(600);
+  listener.stopKeyListener();
+
+  assert.deepStrictEqual(env.pasted, ['AAA', 'BBB']);
+  assert.deepStrictEqual(env.injected.map((steps) => steps[0]), [
+    { key: 'backspace', count: 2 },
+    { key: 'backspace', count: 2 },
+  ]);
+});
+
+test("the injector's own keystrokes are not taken for typing", async () => {
+  const listener = startListener([{ shortcut: ';a', body: 'AAA' }, { shortcut: ';b', body: 'BBB' }]);
+  type(';a');
+  await wait(200);
+  // An echoed Backspace would have undone the expansion, an echoed Ctrl+V reset the buffer
+  assert.strictEqual(env.injected.length, 1);
+  type('x;b');
+  await wait(200);
+  listener.stopKeyListener();
+
+  assert.deepStrictEqual(env.pasted, ['AAA', 'BBB']);
+  assert.deepStrictEqual(env.injected[1][0], { key: 'backspace', count: 2 });
+});
+
+test('keys typed while the app rule is looked up are deleted and typed again', async () => {
+  const listener = startListener(
+    [{ shortcut: ';a', body: 'AAA', app_rule_mode: 'never', app_rule_apps: 'terminal' }],
+    { lookupMs: 150 }
+  );
+  type(';a');
+  await wait(50);
+  type('xy');
+  await wait(400);
+  listener.stopKeyListener();
+
+  assert.strictEqual(env.injected.length, 1);
+  assert.deepStrictEqual(env.injected[0], [{ key: 'backspace', count: 4 }, { key: 'paste' }, { text: 'xy' }]);
+});
+
+test('nothing is inserted when a key other than text was pressed meanwhile', async () => {
+  const listener = startListener(
+    [{ shortcut: ';a', body: 'AAA', app_rule_mode: 'never', app_rule_apps: 'terminal' }],
+    { lookupMs: 150 }
+  );
+  type(';a');
+  await wait(50);
+  env.emit('keydown', keyEvent(BACKSPACE));
+  await wait(400);
+  listener.stopKeyListener();
+
+  assert.deepStrictEqual(env.injected, []);
+});
+
+test('a trigger key pressed as a chord does not fire in delimiter mode', async () => {
+  const listener = startListener([{ shortcut: ';a', body: 'AAA' }]);
+  listener.updateSettings({ mode: 'delimiter' });
+  type(';a');
+  env.emit('keydown', keyEvent(ENTER, { ctrlKey: true }));
+  await wait(200);
+  assert.deepStrictEqual(env.injected, []);
+
+  // The chord ended the word — the shortcut has to be typed again
+  type(';a');
+  env.emit('keydown', keyEvent(ENTER));
+  await wait(200);
+  listener.stopKeyListener();
+
+  assert.deepStrictEqual(env.injected, [[{ key: 'backspace', count: 3 }, { key: 'paste' }, { key: 'enter' }]]);
+});
+
+test('a Backspace past the start of the buffer means the word start is unknown', async () => {
+  const listener = startListener([{ shortcut: 'ab', body: 'AAA', word_start: 1 }]);
+  type('x');
+  env.emit('keydown', keyEvent(SPACE));
+  env.emit('keydown', keyEvent(BACKSPACE)); // deletes the space — "x" is right before the caret again
+  type('ab');
+  await wait(200);
+  listener.stopKeyListener();
+
+  assert.deepStrictEqual(env.injected, []);
+});
+
+test('a focus change reported by the watcher resets the buffer, without lookups while typing', async () => {
+  const listener = startListener([{ shortcut: ';a', body: 'AAA' }], { watchFocus: true });
+  type('xx');
+  env.emit('keydown', keyEvent(SPACE));
+  type(';');
+  env.focusChanged('2');
+  type('a');
+  await wait(200);
+  listener.stopKeyListener();
+
+  assert.deepStrictEqual(env.injected, []);
+  assert.strictEqual(env.lookups, 0);
+  assert.strictEqual(env.focusChanged, null); // the watcher is stopped with the listener
+});
+
+test('without a watcher the window is compared when a match fires', async () => {
+  const listener = startListener([{ shortcut: ';a', body: 'AAA' }]);
+  type(';a');
+  await wait(200);
+  assert.strictEqual(env.injected.length, 1);
+
+  // Focus moved without a click or chord — the shortcut may have been started elsewhere
+  env.window = '2';
+  type(';a');
+  await wait(200);
+  assert.strictEqual(env.injected.length, 1);
+
+  // After a click the next word is known to be typed where it lands
+  env.window = '3';
+  env.emit('mousedown', {});
+  type(';a');
+  await wait(200);
+  listener.stopKeyListener();
+
+  assert.strictEqual(env.injected.length, 2);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const placeholders = require('../main/placeholders');
+const richtext = require('../main/richtext');
+
+function renderHtml(body, ctx) {
+  const rendered = placeholders.render(body, { ...ctx, escape: richtext.placeholderEscape('html') });
+  return richtext.toClipboard(rendered, 'html');
+}
+
+test('fill-in values stay text in an HTML body', () => {
+  const clip = renderHtml('<p>Hello <b>{input:Customer}</b></p>', { values: { Customer: 'AT&T <ops team>' } });
+  assert.strictEqual(clip.html, '<p>Hello <b>AT&amp;T &lt;ops team&gt;</b></p>');
+  assert.strictEqual(clip.text, 'Hello AT&T <ops team>');
+});
+
+test('regex captures and shell output are escaped in an HTML body', () => {
+  const clip = renderHtml('<i>{$1}</i> {shell:echo}', { groups: ['x<y', 'x<y'], shell: { echo: 'a & b' } });
+  assert.strictEqual(clip.html, '<i>x&lt;y</i> a &amp; b');
+});
+
+test('plain bodies insert values as typed', () => {
+  assert.strictEqual(placeholders.render('{input:Name}', { values: { Name: 'AT&T <ops>' } }), 'AT&T <ops>');
+});
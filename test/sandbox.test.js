@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runScript } = require('../main/sandbox');
+
+test('runs a script and returns its text', () => {
+  assert.deepStrictEqual(runScript('return values.name + groups[1]', { values: { name: 'Ada' }, groups: ['x1', '1'] }), { text: 'Ada1' });
+});
+
+test('host Function is not reachable through this or globalThis', () => {
+  const escapes = [
+    "return this.constructor.constructor('return process')().pid",
+    "return globalThis.constructor.constructor('return process')().pid",
+    "return Object.getPrototypeOf(globalThis).constructor.constructor('return process')().pid",
+    "return date.constructor('return process')().pid",
+  ];
+  for (const body of escapes) {
+    const result = runScript(body, {});
+    assert.ok(result.error, `escaped with: ${body}`);
+    assert.notStrictEqual(result.text, String(process.pid));
+  }
+});
+
+test('stops a script that runs too long', () => {
+  assert.match(runScript('while (true) {}', {}).error, /longer than/);
+});